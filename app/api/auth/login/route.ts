@@ -0,0 +1,41 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { BACKEND_URL, SESSION_COOKIE, backendHeaders, requestIdFor } from "@/lib/backend"
+
+export async function POST(request: NextRequest) {
+  const requestId = requestIdFor(request)
+  try {
+    const { username, password } = await request.json()
+
+    if (!username || !password) {
+      return NextResponse.json({ success: false, message: "Username and password are required" }, { status: 400 })
+    }
+
+    // The backend checks the credentials and issues the session token
+    const backendResponse = await fetch(`${BACKEND_URL}/api/v1/auth/login`, {
+      method: "POST",
+      headers: backendHeaders(request, requestId),
+      body: JSON.stringify({ username, password }),
+    })
+
+    const backendData = await backendResponse.json()
+
+    if (!backendResponse.ok) {
+      return NextResponse.json(backendData, { status: backendResponse.status })
+    }
+
+    // Only the user is returned to the browser; the token stays in an httpOnly cookie
+    const { token, expiresAt, user } = backendData.data
+    const response = NextResponse.json({ success: true, message: backendData.message, data: user })
+    response.cookies.set(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: "/",
+      expires: new Date(expiresAt),
+    })
+    return response
+  } catch (error) {
+    console.error("Login Route Error:", { requestId, error })
+    return NextResponse.json({ success: false, message: "Internal server error in Next.js API route" }, { status: 500 })
+  }
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from "next/server"
+import { SESSION_COOKIE } from "@/lib/backend"
+
+export async function POST() {
+  const response = NextResponse.json({ success: true, message: "Signed out" })
+  response.cookies.delete(SESSION_COOKIE)
+  return response
+}
@@ -0,0 +1,27 @@
+import { type NextRequest, NextResponse } from "next/server"
+import { BACKEND_URL, SESSION_COOKIE, backendHeaders, requestIdFor } from "@/lib/backend"
+
+// Returns the signed-in user as verified by the backend, so an expired or tampered cookie reads as signed out
+export async function GET(request: NextRequest) {
+  const requestId = requestIdFor(request)
+  if (!request.cookies.get(SESSION_COOKIE)) {
+    return NextResponse.json({ success: false, message: "Not signed in" }, { status: 401 })
+  }
+
+  try {
+    const backendResponse = await fetch(`${BACKEND_URL}/api/v1/auth/session`, {
+      headers: backendHeaders(request, requestId),
+      cache: "no-store",
+    })
+    const backendData = await backendResponse.json()
+
+    const response = NextResponse.json(backendData, { status: backendResponse.status })
+    if (backendResponse.status === 401) {
+      response.cookies.delete(SESSION_COOKIE)
+    }
+    return response
+  } catch (error) {
+    console.error("Session Route Error:", { requestId, error })
+    return NextResponse.json({ success: false, message: "Internal server error in Next.js API route" }, { status: 500 })
+  }
+}
@@ -1,6 +1,8 @@
 import { type NextRequest, NextResponse } from "next/server"
+import { BACKEND_URL, SESSION_COOKIE, backendHeaders, requestIdFor } from "@/lib/backend"
 
 export async function POST(request: NextRequest) {
+  const requestId = requestIdFor(request)
   try {
     const body = await request.json()
     const { token, network } = body
@@ -10,13 +12,19 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ success: false, message: "Token and network are required" }, { status: 400 })
     }
 
+    // Full-history backfills are limited to signed-in users whose role allows them; the backend checks the role
+    if (!request.cookies.get(SESSION_COOKIE)) {
+      return NextResponse.json(
+        { success: false, message: "Sign in to schedule full-history backfills" },
+        { status: 401 },
+      )
+    }
+
     // Forward to your Node.js backend API's batch endpoint
     // The backend will now determine the actual start date (token creation date)
-    const backendResponse = await fetch("http://localhost:3001/api/batch/historical", {
+    const backendResponse = await fetch(`${BACKEND_URL}/api/batch/historical`, {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
+      headers: backendHeaders(request, requestId),
       body: JSON.stringify({
         token, // Send single token
         network, // Send single network
@@ -32,7 +40,7 @@ export async function POST(request: NextRequest) {
       return NextResponse.json(backendData, { status: backendResponse.status })
     }
   } catch (error) {
-    console.error("API Route Error (schedule-history):", error)
+    console.error("API Route Error (schedule-history):", { requestId, error })
     return NextResponse.json(
       { success: false, message: "Internal server error in Next.js API route for scheduling history" },
       { status: 500 },
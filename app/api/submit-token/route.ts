@@ -1,9 +1,11 @@
 import { type NextRequest, NextResponse } from "next/server"
+import { BACKEND_URL, backendHeaders, requestIdFor } from "@/lib/backend"
 
 export async function POST(request: NextRequest) {
+  const requestId = requestIdFor(request)
   try {
     const body = await request.json()
-    const { token, network, timestamp } = body
+    const { token, network, timestamp, blockNumber } = body
 
     // Validate input (basic validation, more comprehensive validation is on backend)
     if (!token || !network) {
@@ -11,12 +13,10 @@ export async function POST(request: NextRequest) {
     }
 
     // Forward to your Node.js backend API
-    const backendResponse = await fetch("http://localhost:3001/api/tokens", {
+    const backendResponse = await fetch(`${BACKEND_URL}/api/tokens`, {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ token, network, timestamp }),
+      headers: backendHeaders(request, requestId),
+      body: JSON.stringify({ token, network, timestamp, blockNumber }),
     })
 
     const backendData = await backendResponse.json()
@@ -32,7 +32,7 @@ export async function POST(request: NextRequest) {
       if (data && data.price && data.price.usd !== undefined) {
         let source = "unknown"
         if (data.cached) source = "cache"
-        else if (data.fromAPI) source = "alchemy"
+        else if (data.fromAPI) source = data.source || "provider"
         else if (data.interpolated) source = "interpolated"
         else if (data.fromDB) source = "database" // Added database as a source
 
@@ -47,8 +47,11 @@ export async function POST(request: NextRequest) {
               symbol: data.symbol, // Keep these for display in the frontend
               name: data.name,
               timestamp: data.timestamp,
+              blockNumber: data.blockNumber,
               interpolated: data.interpolated, // Keep this flag for frontend display
               queued: data.queued, // Keep this flag for frontend display
+              ageSeconds: data.ageSeconds, // How long ago the price was quoted
+              stale: data.stale, // Served past its cache TTL while the backend refreshes it
             },
           },
           { status: backendResponse.status },
@@ -64,7 +67,7 @@ export async function POST(request: NextRequest) {
       return NextResponse.json(backendData, { status: backendResponse.status })
     }
   } catch (error) {
-    console.error("API Route Error:", error)
+    console.error("API Route Error:", { requestId, error })
     return NextResponse.json({ success: false, message: "Internal server error in Next.js API route" }, { status: 500 })
   }
 }
@@ -9,7 +9,8 @@ import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import { Loader2, CheckCircle, AlertCircle, History } from "lucide-react"
+import { Loader2, CheckCircle, AlertCircle, History, LogOut } from "lucide-react"
+import { useSession } from "@/hooks/use-session"
 
 interface FormData {
   token: string
@@ -30,6 +31,8 @@ interface ApiResponse {
     symbol?: string
     name?: string
     timestamp?: string
+    ageSeconds?: number | null
+    stale?: boolean
   }
   queued?: boolean
 }
@@ -44,6 +47,13 @@ export default function TokenNetworkForm() {
   const [isSchedulingHistory, setIsSchedulingHistory] = useState(false)
   const [response, setResponse] = useState<ApiResponse | null>(null)
   const [historyResponse, setHistoryResponse] = useState<ApiResponse | null>(null)
+  const { user, isLoading: isSessionLoading, login, logout } = useSession()
+  const [credentials, setCredentials] = useState({ username: "", password: "" })
+  const [loginError, setLoginError] = useState<string | null>(null)
+  const [isSigningIn, setIsSigningIn] = useState(false)
+
+  // Full-history backfills are limited to roles with the backfill scope (operator, admin)
+  const canScheduleHistory = !!user?.scopes.includes("backfill")
 
   const networks = [
     { value: "ethereum", label: "Ethereum" },
@@ -174,6 +184,22 @@ export default function TokenNetworkForm() {
     }
   }
 
+  const handleLogin = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setLoginError(null)
+    try {
+      const error = await login(credentials.username.trim(), credentials.password)
+      setLoginError(error)
+      if (!error) setCredentials({ username: "", password: "" })
+    } catch (error) {
+      console.error("Sign in error:", error)
+      setLoginError("Network error. Please check your connection and try again.")
+    } finally {
+      setIsSigningIn(false)
+    }
+  }
+
   const getPriceSource = (data: ApiResponse["data"]) => {
     if (!data) return "Unknown"
     if (data.queued) return "Queued for Processing"
@@ -269,6 +295,11 @@ export default function TokenNetworkForm() {
                     {response.data.symbol && <p>Symbol: {response.data.symbol}</p>}
                     {response.data.name && <p>Name: {response.data.name}</p>}
                     {response.data.timestamp && <p>Timestamp: {new Date(response.data.timestamp).toLocaleString()}</p>}
+                    {response.data.ageSeconds != null && (
+                      <p>
+                        Price age: {response.data.ageSeconds}s{response.data.stale && " (refreshing in the background)"}
+                      </p>
+                    )}
                     {response.data.interpolated && <p className="text-orange-600">This price was interpolated.</p>}
                     {response.queued && (
                       <p className="text-blue-600">
@@ -299,6 +330,50 @@ export default function TokenNetworkForm() {
 
         <div className="mt-6 pt-6 border-t border-slate-200 space-y-4">
           <h3 className="text-lg font-semibold">Historical Data Tools</h3>
+          {user ? (
+            <div className="flex items-center justify-between text-sm text-slate-600">
+              <span>
+                Signed in as <span className="font-medium">{user.username}</span> ({user.role})
+              </span>
+              <Button variant="ghost" size="sm" onClick={logout}>
+                <LogOut className="mr-2 h-4 w-4" />
+                Sign out
+              </Button>
+            </div>
+          ) : (
+            !isSessionLoading && (
+              <form onSubmit={handleLogin} className="space-y-3">
+                <p className="text-sm text-slate-600">Sign in to schedule full-history backfills.</p>
+                <div className="grid grid-cols-2 gap-3">
+                  <Input
+                    placeholder="Username"
+                    autoComplete="username"
+                    value={credentials.username}
+                    onChange={(e) => setCredentials((prev) => ({ ...prev, username: e.target.value }))}
+                    disabled={isSigningIn}
+                  />
+                  <Input
+                    type="password"
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    value={credentials.password}
+                    onChange={(e) => setCredentials((prev) => ({ ...prev, password: e.target.value }))}
+                    disabled={isSigningIn}
+                  />
+                </div>
+                {loginError && <p className="text-sm text-red-600">{loginError}</p>}
+                <Button
+                  type="submit"
+                  variant="outline"
+                  className="w-full"
+                  disabled={isSigningIn || !credentials.username.trim() || !credentials.password}
+                >
+                  {isSigningIn ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+                  Sign In
+                </Button>
+              </form>
+            )
+          )}
           {historyResponse && (
             <Alert className={historyResponse.success ? "border-green-200 bg-green-50" : "border-red-200 bg-red-50"}>
               {historyResponse.success ? (
@@ -317,7 +392,9 @@ export default function TokenNetworkForm() {
           <Button
             onClick={handleScheduleFullHistory}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white"
-            disabled={isLoading || isSchedulingHistory || !formData.token.trim() || !formData.network}
+            disabled={
+              !canScheduleHistory || isLoading || isSchedulingHistory || !formData.token.trim() || !formData.network
+            }
           >
             {isSchedulingHistory ? (
               <>
@@ -334,6 +411,7 @@ export default function TokenNetworkForm() {
           <p className="text-xs text-slate-500">
             This will trigger a background job to fetch all available historical daily prices for the selected token and
             network from its creation date.
+            {user && !canScheduleHistory && " Your role does not allow scheduling backfills."}
           </p>
         </div>
       </CardContent>
@@ -0,0 +1,43 @@
+import * as React from "react"
+
+export interface SessionUser {
+  username: string
+  role: string
+  scopes: string[]
+}
+
+// The signed-in dashboard user (null when signed out), backed by the httpOnly session cookie
+export function useSession() {
+  const [user, setUser] = React.useState<SessionUser | null>(null)
+  const [isLoading, setIsLoading] = React.useState(true)
+
+  React.useEffect(() => {
+    fetch("/api/auth/session")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((body) => setUser(body?.data ?? null))
+      .catch(() => setUser(null))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  // Resolves to an error message, or null once signed in
+  const login = React.useCallback(async (username: string, password: string) => {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    })
+    const body = await response.json()
+    if (!response.ok) {
+      return (body.message as string) || "Sign in failed"
+    }
+    setUser(body.data)
+    return null
+  }, [])
+
+  const logout = React.useCallback(async () => {
+    await fetch("/api/auth/logout", { method: "POST" })
+    setUser(null)
+  }, [])
+
+  return { user, isLoading, login, logout }
+}
@@ -0,0 +1,31 @@
+import type { NextRequest } from "next/server"
+
+export const BACKEND_URL = process.env.BACKEND_URL || "http://localhost:3001"
+
+// httpOnly cookie holding the backend-issued session JWT
+export const SESSION_COOKIE = "session"
+
+// Must match the backend's API_KEY_HEADER
+const API_KEY_HEADER = process.env.BACKEND_API_KEY_HEADER || "x-api-key"
+
+// The caller's X-Request-Id, or a new one; forwarded to the backend so its logs and queued jobs can be
+// matched to this route's
+export function requestIdFor(request: NextRequest): string {
+  return request.headers.get("x-request-id") || crypto.randomUUID()
+}
+
+// Headers for calls to the backend: the dashboard's API key, the request ID plus, when someone is signed in,
+// their session
+export function backendHeaders(request: NextRequest, requestId = requestIdFor(request)): HeadersInit {
+  const headers: Record<string, string> = {
+    "Content-Type": "application/json",
+    [API_KEY_HEADER]: process.env.BACKEND_API_KEY || "",
+    "x-request-id": requestId,
+  }
+
+  const session = request.cookies.get(SESSION_COOKIE)?.value
+  if (session) {
+    headers.Authorization = `Bearer ${session}`
+  }
+  return headers
+}
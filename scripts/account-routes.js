@@ -0,0 +1,49 @@
+import express from "express"
+import { config } from "./config.js"
+import { toPublicKey } from "./api-keys.js"
+import { logger } from "./logger.js"
+
+// Endpoints for the owner of the API key making the request, mounted under /api/v1
+export function createAccountRouter({ apiKeyManager }) {
+  const router = express.Router()
+
+  router.get("/account/usage", async (req, res) => {
+    if (!req.apiKey) {
+      return res.status(404).json({ success: false, message: "API key authentication is disabled" })
+    }
+
+    const days = Number.parseInt(req.query.days ?? "7", 10)
+    if (!Number.isInteger(days) || days < 1 || days > config.security.auth.usageRetentionDays) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${config.security.auth.usageRetentionDays}`,
+      })
+    }
+
+    try {
+      const history = await apiKeyManager.getUsage(req.apiKey, days)
+      const today = history[history.length - 1]
+      const limit = req.apiKey.quota?.requestsPerDay || null
+
+      res.set("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        data: {
+          key: toPublicKey(req.apiKey),
+          today: { requests: today.requests, limit, remaining: limit ? Math.max(0, limit - today.requests) : null },
+          history,
+        },
+        meta: { days },
+      })
+    } catch (error) {
+      logger.error("Failed to get API key usage", { error })
+      res.status(500).json({
+        success: false,
+        message: "Failed to get API key usage",
+        error: config.app.isDevelopment ? error.message : undefined,
+      })
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,255 @@
+import express from "express"
+import { config } from "./config.js"
+import { parsePagination, paginationMeta } from "./pagination.js"
+import { requireScope } from "./api-auth.js"
+import { API_KEY_SCOPES, toPublicKey } from "./api-keys.js"
+import { ROLE_SCOPES, toPublicUser } from "./users.js"
+import { logger } from "./logger.js"
+
+const DEAD_LETTER_STATUSES = ["dead", "requeued", "discarded"]
+const TOKEN_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/
+
+// Validates the ?token=&network=&from=&to= filter of a cache invalidation; resolves to an error message or the filter
+function parseInvalidationFilter(query) {
+  const filter = {}
+  if (query.token !== undefined) {
+    if (!TOKEN_ADDRESS_REGEX.test(query.token)) return "token must be a token address"
+    filter.token = query.token.toLowerCase()
+  }
+  if (query.network !== undefined) {
+    if (!config.networks.supported.includes(query.network.toLowerCase())) {
+      return `network must be one of: ${config.networks.supported.join(", ")}`
+    }
+    filter.network = query.network.toLowerCase()
+  }
+  for (const name of ["from", "to"]) {
+    if (query[name] !== undefined) {
+      filter[name] = new Date(query[name])
+      if (Number.isNaN(filter[name].getTime())) return `${name} must be an ISO 8601 date`
+    }
+  }
+  if (filter.from && filter.to && filter.from > filter.to) return "from must be before to"
+  if (Object.keys(filter).length === 0) return "Give at least one of token, network, from or to"
+  return filter
+}
+
+// Operator endpoints mounted under /api/v1/admin; every one needs an admin-scoped key
+export function createAdminRouter({ deadLetterQueue, apiKeyManager, userManager, priceCache }) {
+  const router = express.Router()
+  router.use(requireScope("admin"))
+
+  const fail = (res, message, error) => {
+    logger.error(message, { error })
+    return res.status(500).json({
+      success: false,
+      message,
+      error: config.app.isDevelopment ? error.message : undefined,
+    })
+  }
+
+  // Entries that can no longer be requeued or discarded answer 404 when missing and 409 otherwise
+  const entryConflict = async (res, id) => {
+    const entry = await deadLetterQueue.get(id)
+    return entry
+      ? res.status(409).json({ success: false, message: `Dead letter ${id} is already ${entry.status}` })
+      : res.status(404).json({ success: false, message: `Dead letter ${id} not found` })
+  }
+
+  router.get("/dead-letters", async (req, res) => {
+    try {
+      const status = req.query.status || "dead"
+      if (!DEAD_LETTER_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${DEAD_LETTER_STATUSES.join(", ")}` })
+      }
+
+      const filter = { status }
+      if (req.query.queue) filter.queue = req.query.queue
+      if (req.query.category) filter.category = req.query.category
+
+      const pagination = parsePagination(req.query)
+      const { entries, total } = await deadLetterQueue.list(filter, pagination)
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: entries, meta: { filter, pagination: paginationMeta(pagination, total) } })
+    } catch (error) {
+      return fail(res, "Failed to list dead letters", error)
+    }
+  })
+
+  router.get("/dead-letters/:id", async (req, res) => {
+    try {
+      const entry = await deadLetterQueue.get(req.params.id)
+      if (!entry) {
+        return res.status(404).json({ success: false, message: `Dead letter ${req.params.id} not found` })
+      }
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: entry, meta: {} })
+    } catch (error) {
+      return fail(res, "Failed to get dead letter", error)
+    }
+  })
+
+  router.post("/dead-letters/:id/requeue", async (req, res) => {
+    try {
+      const job = await deadLetterQueue.requeue(req.params.id)
+      if (!job) {
+        return entryConflict(res, req.params.id)
+      }
+
+      res.json({
+        success: true,
+        message: `Dead letter ${req.params.id} requeued`,
+        data: { id: req.params.id, jobId: job.id },
+      })
+    } catch (error) {
+      return fail(res, "Failed to requeue dead letter", error)
+    }
+  })
+
+  router.delete("/dead-letters/:id", async (req, res) => {
+    try {
+      const discarded = await deadLetterQueue.discard(req.params.id)
+      if (!discarded) {
+        return entryConflict(res, req.params.id)
+      }
+
+      res.json({ success: true, message: `Dead letter ${req.params.id} discarded`, data: { id: req.params.id } })
+    } catch (error) {
+      return fail(res, "Failed to discard dead letter", error)
+    }
+  })
+
+  // Drops every cached price for a token, a network and/or a price time range, e.g.
+  // DELETE /cache?network=polygon&from=2024-01-01&to=2024-01-31
+  router.delete("/cache", async (req, res) => {
+    const filter = parseInvalidationFilter(req.query)
+    if (typeof filter === "string") {
+      return res.status(400).json({ success: false, message: filter })
+    }
+
+    try {
+      const deleted = await priceCache.invalidate(filter)
+      logger.info("Invalidated cached prices", { ...filter, deleted, user: req.user?.username, apiKeyId: req.apiKey?._id })
+      res.json({ success: true, message: `Invalidated ${deleted} cache entries`, data: { deleted }, meta: { filter } })
+    } catch (error) {
+      return fail(res, "Failed to invalidate cache", error)
+    }
+  })
+
+  // Negative cache entries for tokens found unpriceable (see PriceCache.setUnpriceable)
+  router.get("/unpriceable/:network/:token", async (req, res) => {
+    try {
+      const { token, network } = req.params
+      const entry = await priceCache.getUnpriceable({ token, network: network.toLowerCase() })
+      if (!entry) {
+        return res.status(404).json({ success: false, message: `${token} on ${network} is not marked unpriceable` })
+      }
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: entry, meta: {} })
+    } catch (error) {
+      return fail(res, "Failed to get negative cache entry", error)
+    }
+  })
+
+  // Lets a token that has since become priceable (e.g. gained liquidity) be looked up again right away
+  router.delete("/unpriceable/:network/:token", async (req, res) => {
+    try {
+      const { token, network } = req.params
+      const cleared = await priceCache.clearUnpriceable(token, network.toLowerCase())
+      if (!cleared) {
+        return res.status(404).json({ success: false, message: `${token} on ${network} is not marked unpriceable` })
+      }
+
+      res.json({ success: true, message: `Cleared the negative cache entry for ${token} on ${network}`, data: { token, network } })
+    } catch (error) {
+      return fail(res, "Failed to clear negative cache entry", error)
+    }
+  })
+
+  router.get("/api-keys", async (req, res) => {
+    try {
+      const filter = req.query.status ? { status: req.query.status } : {}
+      const keys = await apiKeyManager.list(filter)
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: keys.map(toPublicKey), meta: { filter, total: keys.length } })
+    } catch (error) {
+      return fail(res, "Failed to list API keys", error)
+    }
+  })
+
+  // The plain key is only ever returned by this response
+  router.post("/api-keys", async (req, res) => {
+    try {
+      const { name, scopes = ["read"], requestsPerDay } = req.body || {}
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({ success: false, message: "name is required" })
+      }
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+        return res.status(400).json({ success: false, message: `scopes must be a non-empty subset of: ${API_KEY_SCOPES.join(", ")}` })
+      }
+      if (requestsPerDay !== undefined && !(Number.isInteger(requestsPerDay) && requestsPerDay >= 0)) {
+        return res.status(400).json({ success: false, message: "requestsPerDay must be a non-negative integer (0 = unlimited)" })
+      }
+
+      const { key, record } = await apiKeyManager.create({ name, scopes, requestsPerDay })
+      res.status(201).json({
+        success: true,
+        message: "API key created; store it now, it cannot be shown again",
+        data: { ...toPublicKey(record), key },
+      })
+    } catch (error) {
+      return fail(res, "Failed to create API key", error)
+    }
+  })
+
+  router.delete("/api-keys/:id", async (req, res) => {
+    try {
+      const revoked = await apiKeyManager.revoke(req.params.id)
+      if (!revoked) {
+        return res.status(404).json({ success: false, message: `API key ${req.params.id} not found` })
+      }
+
+      res.json({ success: true, message: `API key ${req.params.id} revoked`, data: { id: req.params.id } })
+    } catch (error) {
+      return fail(res, "Failed to revoke API key", error)
+    }
+  })
+
+  router.get("/users", async (req, res) => {
+    try {
+      const users = await userManager.list()
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: users.map(toPublicUser), meta: { total: users.length } })
+    } catch (error) {
+      return fail(res, "Failed to list users", error)
+    }
+  })
+
+  router.post("/users", async (req, res) => {
+    try {
+      const { username, password, role = "viewer" } = req.body || {}
+      if (typeof username !== "string" || !/^[\w.@-]{3,64}$/.test(username)) {
+        return res.status(400).json({ success: false, message: "username must be 3-64 letters, digits or ._@-" })
+      }
+      if (typeof password !== "string" || password.length < 8) {
+        return res.status(400).json({ success: false, message: "password must be at least 8 characters" })
+      }
+      if (!ROLE_SCOPES[role]) {
+        return res.status(400).json({ success: false, message: `role must be one of: ${Object.keys(ROLE_SCOPES).join(", ")}` })
+      }
+
+      const user = await userManager.create({ username, password, role })
+      if (!user) {
+        return res.status(409).json({ success: false, message: `User ${username} already exists` })
+      }
+      res.status(201).json({ success: true, message: `User ${username} created`, data: toPublicUser(user) })
+    } catch (error) {
+      return fail(res, "Failed to create user", error)
+    }
+  })
+
+  return router
+}
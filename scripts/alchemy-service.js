@@ -1,13 +1,24 @@
 import { Alchemy, Network } from "alchemy-sdk"
 import { config } from "./config.js"
+import { createPriceProviders } from "./price-providers.js"
+import { PriceAggregator } from "./price-aggregator.js"
+import { BlockResolver } from "./block-resolver.js"
+import { ProvidersFailedError } from "./price-provider.js"
+import { classifyError } from "./error-classifier.js"
+import { providerErrors, providerRequestDuration } from "./metrics.js"
+import { logger } from "./logger.js"
 
 export class AlchemyService {
-  constructor() {
+  constructor(options = {}) {
     this.config = {
       apiKey: config.alchemy.apiKey,
       network: Network.ETH_MAINNET, // Default network, will be overridden per request
     }
 
+    if (config.alchemy.rpcUrl) {
+      this.config.url = config.alchemy.rpcUrl
+    }
+
     this.networkMapping = {
       ethereum: Network.ETH_MAINNET,
       polygon: Network.MATIC_MAINNET,
@@ -16,6 +27,45 @@ export class AlchemyService {
       arbitrum: Network.ARB_MAINNET,
       optimism: Network.OPT_MAINNET,
     }
+
+    // Chainlink USD aggregator proxies per network, keyed by asset; `tokens` are the ERC-20s each feed prices
+    this.chainlinkFeeds = {
+      ethereum: {
+        ETH: { feed: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419", tokens: ["0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"] },
+        BTC: { feed: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c", tokens: ["0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599"] },
+        USDC: { feed: "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6", tokens: ["0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48"] },
+        USDT: { feed: "0x3E7d1eAB13ad0104d2750B8863b2A6E7A6A7bDF2", tokens: ["0xdAC17F958D2ee523a2206206994597C13D831ec7"] },
+        DAI: { feed: "0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9", tokens: ["0x6B175474E89094C44Da98b954EedeAC495271d0F"] },
+      },
+      polygon: {
+        ETH: { feed: "0xF9680D99D6C9589e2a93a78A04A279e509205945", tokens: ["0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619"] },
+        BTC: { feed: "0xc907E116054Ad103354f2D350FD2514433D57F6f", tokens: ["0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6"] },
+        USDC: { feed: "0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7", tokens: ["0x2791Bca1f2de4661ED88A30C99A7a9219567bC0e"] },
+        USDT: { feed: "0x0A6513e40db6EB1b165753AD52E80663aeA50545", tokens: ["0xc2132D05D31c914a87C6611C10748AEb04B58e8F"] },
+        DAI: { feed: "0x4746DeC9e833A82EC7C2C1356372CcF2cfcD2F3D", tokens: ["0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"] },
+      },
+      arbitrum: {
+        ETH: { feed: "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612", tokens: ["0x82aF49447D8a07e3bd95BD0d56f35241523fBab1"] },
+        BTC: { feed: "0x6ce185860a4963106506C203335A2910413708e9", tokens: ["0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f"] },
+        USDC: { feed: "0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3", tokens: ["0xaf88d065e77c8cC2239327C5EDb3A432268e5831"] },
+        USDT: { feed: "0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7", tokens: ["0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9"] },
+      },
+      optimism: {
+        ETH: { feed: "0x13e3Ee699D1909E989722E753853AE30b17e08c5", tokens: ["0x4200000000000000000000000000000000000006"] },
+        BTC: { feed: "0xD702DD976Fb76Fffc2D3963D037dfDae5b04E593", tokens: ["0x68f180fcCe6836688e9084f035309E29Bf0A2095"] },
+        USDC: { feed: "0x16a9FA2FDa030272Ce99B29CF780dFA30361E0f3", tokens: ["0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85"] },
+      },
+    }
+
+    // Shared Redis token bucket for upstream calls; without one, batches fall back to pausing between chunks
+    this.rateLimiter = options.rateLimiter || null
+
+    // Price, metadata and creation-date lookups are delegated to the configured provider chain
+    this.providers = createPriceProviders(this, config.providers)
+    this.aggregator = new PriceAggregator(config.providers.aggregation, config.providers.order)
+
+    // Timestamp-to-block resolution caches headers in MongoDB, so it needs the database manager
+    this.blockResolver = options.dbManager ? new BlockResolver(this, options.dbManager) : null
   }
 
   getAlchemyInstance(network) {
@@ -30,92 +80,193 @@ export class AlchemyService {
     })
   }
 
-  async getTokenPrice(token, network, timestamp = null) {
+  // `options.blockNumber` pins on-chain providers to that block; without it, historical lookups resolve
+  // the timestamp to a block when an on-chain provider serves the network. Errors resolve to null unless
+  // `options.throwOnError` is set; `options.throwOnProviderFailure` only lets ProvidersFailedError through.
+  async getTokenPrice(token, network, timestamp = null, options = {}) {
     try {
-      const alchemy = this.getAlchemyInstance(network)
-
-      // Get token metadata
-      const metadata = await alchemy.core.getTokenMetadata(token)
-      if (!metadata || !metadata.symbol) {
-        console.log(`Token metadata not found or incomplete for: ${token} on ${network}`)
+      const metadata = await this.getTokenMetadata(token, network)
+      if (!metadata) {
+        logger.info("Token metadata not found or incomplete", { token, network })
         return null
       }
 
-      let priceData
-
-      if (timestamp) {
-        // For historical prices, Alchemy's core API doesn't directly provide historical USD prices for tokens.
-        // You would typically use a dedicated price API (e.g., CoinGecko, CoinMarketCap)
-        // or query historical block data and calculate price from trades.
-        // For this demo, we'll simulate historical data.
-        priceData = await this.getHistoricalPrice(token, network, timestamp)
-      } else {
-        // For current prices, similarly, Alchemy's core API provides on-chain data, not direct USD prices.
-        // You'd integrate with a price feed.
-        priceData = await this.getCurrentPrice(token, network, metadata)
-      }
+      const blockOptions = timestamp ? await this.resolveBlockOptions(network, timestamp, options) : {}
+      const priceData = timestamp
+        ? await this.getHistoricalPrice(token, network, timestamp, blockOptions)
+        : await this.getCurrentPrice(token, network, metadata)
 
       if (!priceData || priceData.usd === undefined || priceData.usd === null) {
         return null
       }
 
+      const { source, quotes, aggregation, ...price } = priceData
+
       return {
         token: token.toLowerCase(),
         network,
         timestamp: timestamp || new Date().toISOString(),
+        ...(blockOptions.blockNumber !== undefined && { blockNumber: blockOptions.blockNumber }),
         symbol: metadata.symbol,
         name: metadata.name || "Unknown Token",
         decimals: metadata.decimals || 18,
-        price: priceData,
+        price,
         metadata: {
           totalSupply: metadata.totalSupply ? metadata.totalSupply.toString() : null,
           logo: metadata.logo,
         },
-        source: "alchemy_simulated", // Indicate that price is simulated
+        source,
+        quotes, // Every provider answer behind this price, for auditing
+        aggregation,
         fetchedAt: new Date().toISOString(),
       }
     } catch (error) {
-      console.error(`Error fetching price for ${token} on ${network}:`, error)
+      logger.error("Error fetching price", { token, network, timestamp, error })
+      if (options.throwOnError || (options.throwOnProviderFailure && error instanceof ProvidersFailedError)) {
+        throw error
+      }
       return null
     }
   }
 
-  async getCurrentPrice(token, network, metadata) {
-    // Simulate current price
-    // In a real app, integrate with a price feed API (e.g., CoinGecko, Chainlink Data Feeds)
-    const basePrice = 0.1 + Math.random() * 99.9 // Random price between 0.1 and 100
-    return {
-      usd: Number.parseFloat(basePrice.toFixed(4)),
-      lastUpdated: new Date().toISOString(),
+  async resolveBlockOptions(network, timestamp, options) {
+    if (options.blockNumber !== undefined && options.blockNumber !== null) {
+      return { blockNumber: options.blockNumber }
+    }
+
+    const needsBlock = this.providers.some((provider) => provider.onChain && provider.supportsNetwork(network))
+    if (!needsBlock || !this.blockResolver) {
+      return {}
+    }
+
+    try {
+      const header = await this.blockResolver.resolveTimestamp(network, timestamp)
+      return header ? { blockNumber: header.number } : {}
+    } catch (error) {
+      logger.warn("Could not resolve timestamp to a block", { network, timestamp, error: error.message })
+      return {}
+    }
+  }
+
+  // Calls one provider method, recording its latency and, on failure, the error category
+  async callProvider(provider, method, args) {
+    const end = providerRequestDuration.startTimer({ provider: provider.name, method })
+    try {
+      const result = await provider[method](...args)
+      end({ outcome: result ? "success" : "empty" })
+      return result
+    } catch (error) {
+      end({ outcome: "error" })
+      providerErrors.inc({ provider: provider.name, method, category: classifyError(error).category })
+      throw error
+    }
+  }
+
+  // Asks each configured provider in turn and returns the first non-null answer. Throws ProvidersFailedError
+  // when none answered and at least one threw, since "no answer" then doesn't mean there is none.
+  async queryProviders(method, network, ...args) {
+    const failures = []
+
+    for (const provider of this.providers) {
+      if (!provider.supportsNetwork(network)) continue
+
+      try {
+        const result = await this.callProvider(provider, method, args)
+        if (result) {
+          return { result, provider }
+        }
+      } catch (error) {
+        logger.warn("Price provider failed", { provider: provider.name, method, network, error: error.message })
+        failures.push(error)
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new ProvidersFailedError(method, network, failures)
     }
+    return null
   }
 
-  async getHistoricalPrice(token, network, timestamp) {
-    // Simulate historical price based on current date and a random factor
-    const targetDate = new Date(timestamp)
-    const now = new Date()
-    const daysDiff = Math.abs((now.getTime() - targetDate.getTime()) / (1000 * 60 * 60 * 24))
+  // Asks every provider supporting the network in parallel and keeps each price answer as a quote. Like
+  // queryProviders, throws ProvidersFailedError when there is no quote and at least one provider threw.
+  async collectQuotes(method, network, ...args) {
+    const candidates = this.providers.filter((provider) => provider.supportsNetwork(network))
+    const outcomes = await Promise.allSettled(candidates.map((provider) => this.callProvider(provider, method, args)))
 
-    // Simulate price fluctuation and decay over time
-    const basePrice = 0.1 + Math.random() * 99.9
-    const historicalPrice = basePrice * (1 - daysDiff * 0.0005 * (Math.random() > 0.5 ? 1 : -1)) // Slight decay/increase
+    const quotes = outcomes.flatMap((outcome, index) => {
+      if (outcome.status === "rejected") {
+        logger.warn("Price provider failed", {
+          provider: candidates[index].name,
+          method,
+          network,
+          error: outcome.reason.message,
+        })
+        return []
+      }
+      return outcome.value ? [{ source: candidates[index].name, ...outcome.value }] : []
+    })
 
-    return {
-      usd: Number.parseFloat(Math.max(0.0001, historicalPrice).toFixed(4)), // Ensure price is not negative or too small
-      lastUpdated: timestamp,
+    const failures = outcomes.filter((outcome) => outcome.status === "rejected").map((outcome) => outcome.reason)
+    if (quotes.length === 0 && failures.length > 0) {
+      throw new ProvidersFailedError(method, network, failures)
     }
+    return quotes
   }
 
-  async getTokenPriceWithRetry(token, network, timestamp, maxRetries = config.alchemy.maxRetries) {
+  async getAggregatedPrice(method, network, ...args) {
+    const quotes = await this.collectQuotes(method, network, ...args)
+    return this.aggregator.aggregate(quotes)
+  }
+
+  async getTokenMetadata(token, network) {
+    const answer = await this.queryProviders("getTokenMetadata", network, token, network)
+    return answer ? answer.result : null
+  }
+
+  // Why no provider could price a token: not_erc20 when there is no contract at the address, no_metadata
+  // for a contract without ERC-20 metadata, no_liquidity for a token no market prices. Throws when the
+  // lookups themselves fail.
+  async classifyUnpriceable(token, network) {
+    if (await this.getTokenMetadata(token, network)) {
+      return "no_liquidity"
+    }
+
+    const alchemy = this.getAlchemyInstance(network)
+    const code = this.rateLimiter
+      ? await this.rateLimiter.run("alchemy", network, () => alchemy.core.getCode(token))
+      : await alchemy.core.getCode(token)
+    return code && code !== "0x" ? "no_metadata" : "not_erc20"
+  }
+
+  async getCurrentPrice(token, network, metadata) {
+    if (config.providers.aggregation.enabled) {
+      return this.getAggregatedPrice("getCurrentPrice", network, token, network)
+    }
+
+    const answer = await this.queryProviders("getCurrentPrice", network, token, network)
+    return answer ? { ...answer.result, source: answer.provider.name } : null
+  }
+
+  async getHistoricalPrice(token, network, timestamp, options = {}) {
+    if (config.providers.aggregation.enabled) {
+      return this.getAggregatedPrice("getHistoricalPrice", network, token, network, timestamp, options)
+    }
+
+    const answer = await this.queryProviders("getHistoricalPrice", network, token, network, timestamp, options)
+    return answer ? { ...answer.result, source: answer.provider.name } : null
+  }
+
+  async getTokenPriceWithRetry(token, network, timestamp, options = {}, maxRetries = config.alchemy.maxRetries) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const price = await this.getTokenPrice(token, network, timestamp)
+        const price = await this.getTokenPrice(token, network, timestamp, { ...options, throwOnError: true })
         if (price) {
           return price
         }
       } catch (error) {
-        console.error(`Attempt ${attempt} failed for ${token} on ${network}:`, error.message)
-        if (attempt === maxRetries) {
+        logger.warn("Price lookup attempt failed", { token, network, attempt, maxRetries, error: error.message })
+        // Bad input fails the same way on every attempt
+        if (attempt === maxRetries || !classifyError(error).retryable) {
           throw error
         }
         // Exponential backoff
@@ -127,50 +278,44 @@ export class AlchemyService {
 
   async getTokenCreationDate(token, network) {
     try {
-      const alchemy = this.getAlchemyInstance(network)
-
-      // Query for the first asset transfer to approximate creation date
-      const transfers = await alchemy.core.getAssetTransfers({
-        contractAddresses: [token],
-        category: ["erc20"],
-        order: "asc", // Get the earliest transfer
-        maxCount: 1, // Only need the first one
-      })
-
-      if (transfers.transfers && transfers.transfers.length > 0) {
-        // Alchemy's getAssetTransfers returns blockNum. We need to get the block to find its timestamp.
-        const firstTransfer = transfers.transfers[0]
-        const block = await alchemy.core.getBlock(firstTransfer.blockNum)
-        if (block && block.timestamp) {
-          return new Date(block.timestamp * 1000).toISOString() // Convert Unix timestamp to ISO string
-        }
-      }
-
-      return null
+      const answer = await this.queryProviders("getTokenCreationDate", network, token, network)
+      return answer ? answer.result : null
     } catch (error) {
-      console.error(`Error getting creation date for ${token} on ${network}:`, error)
+      logger.warn("Could not determine token creation date", { token, network, error: error.message })
       return null
     }
   }
 
-  async batchGetTokenPrices(requests) {
+  // Resolves to one price (or null) per request. With `keepProviderFailures`, a request whose providers
+  // failed gets its ProvidersFailedError instead of null.
+  async batchGetTokenPrices(requests, { keepProviderFailures = false } = {}) {
     const results = []
     const batchSize = config.performance.batchSizeDefault // Process in batches to avoid rate limits
 
     for (let i = 0; i < requests.length; i += batchSize) {
       const batch = requests.slice(i, i + batchSize)
-      const batchPromises = batch.map((req) => this.getTokenPrice(req.token, req.network, req.timestamp))
+      const batchPromises = batch.map((req) =>
+        this.getTokenPrice(req.token, req.network, req.timestamp, {
+          blockNumber: req.blockNumber,
+          throwOnProviderFailure: keepProviderFailures,
+        }),
+      )
 
       try {
         const batchResults = await Promise.allSettled(batchPromises)
-        results.push(...batchResults.map((result) => (result.status === "fulfilled" ? result.value : null)))
+        results.push(
+          ...batchResults.map((result) => {
+            if (result.status === "fulfilled") return result.value
+            return keepProviderFailures && result.reason instanceof ProvidersFailedError ? result.reason : null
+          }),
+        )
 
-        // Rate limiting between batches
-        if (i + batchSize < requests.length) {
+        // Rate limiting between batches, unless every call already waits for the shared limiter
+        if (!this.rateLimiter && i + batchSize < requests.length) {
           await new Promise((resolve) => setTimeout(resolve, 1000 / config.alchemy.rateLimitPerSecond))
         }
       } catch (error) {
-        console.error("Batch processing error:", error)
+        logger.error("Batch price lookup failed", { error })
         results.push(...new Array(batch.length).fill(null))
       }
     }
@@ -0,0 +1,96 @@
+import { config } from "./config.js"
+import { ApiKeyManager } from "./api-keys.js"
+import { logger } from "./logger.js"
+
+// EventSource and WebSocket clients cannot set headers, so the key may also be passed as ?api_key=
+export function extractApiKey(req) {
+  const header = req.headers[config.security.apiKeyHeader.toLowerCase()]
+  if (header) return String(header)
+  return new URL(req.url, "http://localhost").searchParams.get("api_key")
+}
+
+// Authenticates a request and counts it against the key's daily quota. Resolves to
+// { status, message, apiKey, usage }, where status is 200 on success and the HTTP error status otherwise.
+export async function authenticateRequest(apiKeyManager, req) {
+  const key = extractApiKey(req)
+  if (!key) {
+    return { status: 401, message: `API key required in the ${config.security.apiKeyHeader} header` }
+  }
+
+  const apiKey = await apiKeyManager.findByKey(key)
+  if (!apiKey) {
+    return { status: 401, message: "Invalid or revoked API key" }
+  }
+
+  const usage = await apiKeyManager.recordUsage(apiKey)
+  if (usage.exceeded) {
+    return { status: 429, message: `Daily quota of ${usage.limit} requests exceeded`, apiKey, usage }
+  }
+  return { status: 200, apiKey, usage }
+}
+
+// Middleware for every /api route: rejects missing, unknown or over-quota keys and sets req.apiKey
+export function createApiKeyAuth(apiKeyManager) {
+  return async (req, res, next) => {
+    if (!config.security.auth.enabled) return next()
+
+    try {
+      const { status, message, apiKey, usage } = await authenticateRequest(apiKeyManager, req)
+      if (usage?.limit) {
+        res.set({
+          "X-Quota-Limit": String(usage.limit),
+          "X-Quota-Remaining": String(usage.remaining),
+          "X-Quota-Reset": usage.resetAt,
+        })
+      }
+      if (status !== 200) {
+        return res.status(status).json({ success: false, message })
+      }
+
+      req.apiKey = apiKey
+      next()
+    } catch (error) {
+      logger.error("API key authentication error", { error })
+      res.status(500).json({
+        success: false,
+        message: "Authentication failed",
+        error: config.app.isDevelopment ? error.message : undefined,
+      })
+    }
+  }
+}
+
+// Dashboard requests also carry the signed-in user's session as "Authorization: Bearer <jwt>". Sets
+// req.user to { username, role, scopes } when one is present. An invalid or expired session counts as no
+// session, so routes like sign-in still work; requireScope turns it away from scoped routes.
+export function createUserAuth(userManager) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ")
+    if (scheme !== "Bearer" || !token) return next()
+
+    try {
+      req.user = userManager.verifySession(token)
+    } catch (error) {
+      req.sessionError = error.message
+    }
+    next()
+  }
+}
+
+// Per-route scope check; runs after createApiKeyAuth and createUserAuth. Admin keys pass every key check,
+// and a request made on behalf of a user also needs a role that grants the scope.
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (config.security.auth.enabled && (!req.apiKey || !ApiKeyManager.hasScope(req.apiKey, scope))) {
+      return res.status(403).json({ success: false, message: `This API key lacks the "${scope}" scope` })
+    }
+    // Otherwise the request would fall back to the API key's own scopes
+    if (req.sessionError) {
+      return res.status(401).json({ success: false, message: req.sessionError })
+    }
+    if (req.user && !req.user.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, message: `The ${req.user.role} role lacks the "${scope}" scope` })
+    }
+    next()
+  }
+}
@@ -0,0 +1,139 @@
+import crypto from "node:crypto"
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// read: price, token and job lookups; backfill: queue and manage historical jobs; admin: everything
+export const API_KEY_SCOPES = ["read", "backfill", "admin"]
+
+const day = (date) => date.toISOString().split("T")[0] // YYYY-MM-DD (UTC)
+
+// Fields of a key record that may be shown to its owner or an operator (never the hash)
+export function toPublicKey(record) {
+  const { hash, ...rest } = record
+  return rest
+}
+
+// Issues, looks up and meters API keys. Only a SHA-256 hash of each key is stored, so a leaked database
+// does not leak usable keys; the plain key is returned once, when it is created.
+export class ApiKeyManager {
+  constructor(dbManager, redisClient, authConfig = config.security.auth) {
+    this.dbManager = dbManager
+    this.redisClient = redisClient
+    this.config = authConfig
+    this.usagePrefix = `${config.app.name}:usage`
+    this.cache = new Map() // hash -> { record, expiresAt }; spares MongoDB a lookup on every request
+  }
+
+  static hash(key) {
+    return crypto.createHash("sha256").update(key).digest("hex")
+  }
+
+  static hasScope(record, scope) {
+    return record.scopes.includes(scope) || record.scopes.includes("admin")
+  }
+
+  // Keys from API_KEYS are registered with every scope so a fresh deployment has a way in
+  async seedConfiguredKeys() {
+    for (const [index, key] of config.security.apiKeys.entries()) {
+      const hash = ApiKeyManager.hash(key)
+      await this.dbManager.storeApiKey(this.buildRecord(hash, { name: `configured-key-${index + 1}`, scopes: API_KEY_SCOPES }))
+    }
+  }
+
+  buildRecord(hash, { name, scopes, requestsPerDay = this.config.defaultRequestsPerDay }) {
+    return {
+      _id: `key_${hash.slice(0, 16)}`,
+      name,
+      hash,
+      prefix: null,
+      scopes,
+      quota: { requestsPerDay },
+      status: "active",
+      createdAt: new Date(),
+    }
+  }
+
+  async create({ name, scopes = ["read"], requestsPerDay }) {
+    const key = `tps_${crypto.randomBytes(24).toString("base64url")}`
+    const record = {
+      ...this.buildRecord(ApiKeyManager.hash(key), { name, scopes, requestsPerDay }),
+      prefix: key.slice(0, 8), // Lets owners tell their keys apart without the full key
+    }
+
+    const stored = await this.dbManager.storeApiKey(record)
+    if (!stored) {
+      throw new Error("Could not store API key")
+    }
+    return { key, record: stored }
+  }
+
+  async list(filter = {}) {
+    return this.dbManager.getApiKeys(filter)
+  }
+
+  async revoke(id) {
+    const revoked = await this.dbManager.updateApiKey(id, { status: "revoked", revokedAt: new Date() })
+    if (revoked) {
+      this.cache.clear()
+    }
+    return revoked
+  }
+
+  // Resolves a presented key to its active record, or null. Records are cached for keyCacheTtlMs, so a
+  // revocation reaches other instances within that window.
+  async findByKey(key) {
+    const hash = ApiKeyManager.hash(key)
+    const cached = this.cache.get(hash)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.record
+    }
+
+    // Only active keys are cached, so unknown keys cannot grow the cache
+    const record = await this.dbManager.getApiKeyByHash(hash)
+    if (record?.status !== "active") {
+      return null
+    }
+    this.cache.set(hash, { record, expiresAt: Date.now() + this.config.keyCacheTtlMs })
+    return record
+  }
+
+  usageKey(record, date) {
+    return `${this.usagePrefix}:${record._id}:${day(date)}`
+  }
+
+  // Counts one request against today's quota (UTC days). Returns the quota state after counting; when
+  // Redis is unreachable the request is let through uncounted.
+  async recordUsage(record) {
+    const now = new Date()
+    const limit = record.quota?.requestsPerDay || 0
+    const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+
+    let used = 0
+    try {
+      const key = this.usageKey(record, now)
+      const [count] = await this.redisClient
+        .multi()
+        .incr(key)
+        .expire(key, this.config.usageRetentionDays * 24 * 60 * 60)
+        .exec()
+      used = Number(count)
+    } catch (error) {
+      logger.warn("Could not record API key usage", { apiKeyId: record._id, error: error.message })
+    }
+
+    return {
+      used,
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      exceeded: limit > 0 && used > limit,
+      resetAt: resetAt.toISOString(),
+    }
+  }
+
+  // Daily request counts for the last `days` days, oldest first
+  async getUsage(record, days = 7) {
+    const dates = Array.from({ length: days }, (_, index) => new Date(Date.now() - (days - 1 - index) * 86400000))
+    const counts = await this.redisClient.mGet(dates.map((date) => this.usageKey(record, date)))
+    return dates.map((date, index) => ({ date: day(date), requests: Number(counts[index]) || 0 }))
+  }
+}
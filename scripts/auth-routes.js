@@ -0,0 +1,43 @@
+import express from "express"
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// Dashboard sign-in, mounted under /api/v1. The dashboard keeps the token and sends it back as a bearer token.
+export function createAuthRouter({ userManager }) {
+  const router = express.Router()
+
+  router.post("/auth/login", async (req, res) => {
+    const { username, password } = req.body || {}
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({ success: false, message: "username and password are required" })
+    }
+
+    try {
+      const session = await userManager.login(username, password)
+      if (!session) {
+        return res.status(401).json({ success: false, message: "Invalid username or password" })
+      }
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, message: "Signed in", data: session })
+    } catch (error) {
+      logger.error("Login failed", { username, error })
+      res.status(500).json({
+        success: false,
+        message: "Failed to sign in",
+        error: config.app.isDevelopment ? error.message : undefined,
+      })
+    }
+  })
+
+  router.get("/auth/session", (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: "Not signed in" })
+    }
+
+    res.set("Cache-Control", "no-store")
+    res.json({ success: true, data: req.user, meta: {} })
+  })
+
+  return router
+}
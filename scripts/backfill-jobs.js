@@ -0,0 +1,40 @@
+import { config } from "./config.js"
+
+const day = (date) => new Date(date).toISOString().split("T")[0] // YYYY-MM-DD
+const FINISHED_STATES = ["completed", "failed"]
+
+// Deterministic id for a historical-batch job, so identical backfills map to the same BullMQ job.
+// Colons are avoided because BullMQ uses them as its own key separator.
+export function backfillJobId(token, network, startDate, endDate) {
+  return `backfill_${network.toLowerCase()}_${token.toLowerCase()}_${day(startDate)}_${day(endDate)}`
+}
+
+// Queues a historical-batch job unless an identical one is already waiting or running, in which case that
+// job is returned with `coalesced: true`. Finished jobs with the same id are removed first, because BullMQ
+// silently ignores adds for an id it still holds.
+export async function queueBackfill(batchQueue, { token, network, startDate, endDate, requestId }) {
+  const jobId = backfillJobId(token, network, startDate, endDate)
+
+  const existing = await batchQueue.getJob(jobId)
+  if (existing) {
+    const state = await existing.getState()
+    if (!FINISHED_STATES.includes(state)) {
+      return { job: existing, coalesced: true }
+    }
+    await existing.remove()
+  }
+
+  const job = await batchQueue.add(
+    "historical-batch",
+    { token: token.toLowerCase(), network: network.toLowerCase(), startDate, endDate, requestId },
+    {
+      jobId,
+      attempts: config.queue.settings.defaultJobAttempts,
+      backoff: {
+        type: config.queue.settings.defaultJobBackoff,
+        delay: config.queue.settings.defaultJobDelay,
+      },
+    },
+  )
+  return { job, coalesced: false }
+}
@@ -0,0 +1,72 @@
+// Maps timestamps to block numbers by binary-searching block headers. Every header read is cached in
+// MongoDB, and cached headers around a timestamp narrow later searches, so repeat lookups cost no RPC calls.
+export class BlockResolver {
+  constructor(alchemyService, dbManager) {
+    this.alchemyService = alchemyService
+    this.dbManager = dbManager
+  }
+
+  async getHeader(network, blockNumber) {
+    const cached = await this.dbManager.getBlockHeader(network, blockNumber)
+    if (cached) {
+      return cached
+    }
+
+    const block = await this.readBlock(network, blockNumber)
+    if (!block) {
+      return null
+    }
+
+    const header = { network, number: block.number, timestamp: block.timestamp }
+    await this.dbManager.storeBlockHeader(header)
+    return header
+  }
+
+  // The chain head moves, so it is read fresh rather than from the cache
+  async getLatestHeader(network) {
+    const block = await this.readBlock(network, "latest")
+    return { network, number: block.number, timestamp: block.timestamp }
+  }
+
+  // Header reads count against the Alchemy budget like every other RPC call
+  async readBlock(network, blockTag) {
+    const alchemy = this.alchemyService.getAlchemyInstance(network)
+    const limiter = this.alchemyService.rateLimiter
+    return limiter ? limiter.run("alchemy", network, () => alchemy.core.getBlock(blockTag)) : alchemy.core.getBlock(blockTag)
+  }
+
+  // Resolves to the block timestamp as an ISO string, or null if the block doesn't exist yet
+  async getBlockTimestamp(network, blockNumber) {
+    const header = await this.getHeader(network, blockNumber)
+    return header ? new Date(header.timestamp * 1000).toISOString() : null
+  }
+
+  // Resolves to the last block mined at or before `timestamp` ({ network, number, timestamp }), or null
+  // if the timestamp predates the chain
+  async resolveTimestamp(network, timestamp) {
+    const target = Math.floor(new Date(timestamp).getTime() / 1000)
+    const { before, after } = await this.dbManager.getBlockBounds(network, target)
+
+    let low = before || (await this.getHeader(network, 0))
+    let high = after || (await this.getLatestHeader(network))
+
+    if (target < low.timestamp) {
+      return null
+    }
+    if (target >= high.timestamp) {
+      return high
+    }
+
+    // Invariant: low.timestamp <= target < high.timestamp
+    while (high.number - low.number > 1) {
+      const middle = await this.getHeader(network, Math.floor((low.number + high.number) / 2))
+      if (middle.timestamp <= target) {
+        low = middle
+      } else {
+        high = middle
+      }
+    }
+
+    return low
+  }
+}
@@ -0,0 +1,64 @@
+import { config } from "./config.js"
+
+// Counts price resolutions per day, network and source (cache, database, provider, interpolation, queue)
+// in memory and adds them to cache_statistics in batches, rather than one MongoDB write per request.
+// A batch is written once batchSize resolutions are pending, and every flushInterval ms regardless.
+export class CacheStatsRecorder {
+  constructor(dbManager, analyticsConfig = config.monitoring.analytics) {
+    this.dbManager = dbManager
+    this.batchSize = analyticsConfig.batchSize
+    this.flushInterval = analyticsConfig.flushInterval
+    this.pending = new Map()
+    this.pendingCount = 0
+    this.writing = Promise.resolve()
+    this.timer = null
+  }
+
+  start() {
+    this.timer = setInterval(() => this.flush(), this.flushInterval)
+    this.timer.unref()
+  }
+
+  // Stops the timer and writes whatever is still pending
+  async stop() {
+    clearInterval(this.timer)
+    this.timer = null
+    await this.flush()
+  }
+
+  record(network, source) {
+    this.add({ date: new Date().toISOString().split("T")[0], network, source, count: 1 })
+    this.pendingCount += 1
+    if (this.pendingCount >= this.batchSize) {
+      this.flush()
+    }
+  }
+
+  add({ date, network, source, count }) {
+    const key = `${date}:${network}:${source}`
+    const entry = this.pending.get(key)
+    if (entry) {
+      entry.count += count
+    } else {
+      this.pending.set(key, { date, network, source, count })
+    }
+  }
+
+  // Resolves once everything recorded so far has been written. Writes run one at a time; counts from
+  // a failed write are kept for the next flush rather than lost.
+  flush() {
+    if (this.pending.size === 0) {
+      return this.writing
+    }
+
+    const counts = [...this.pending.values()]
+    this.pending = new Map()
+    this.pendingCount = 0
+    this.writing = this.writing.then(async () => {
+      if (!(await this.dbManager.incrementCacheStats(counts))) {
+        counts.forEach((entry) => this.add(entry))
+      }
+    })
+    return this.writing
+  }
+}
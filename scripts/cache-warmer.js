@@ -0,0 +1,85 @@
+import crypto from "node:crypto"
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// How long a warming run may hold its lock before another instance can take over
+const LOCK_MS = 5 * 60 * 1000
+
+// Deletes the lock in KEYS[1] only while it still holds this instance's id (ARGV[1]), so a run that
+// outlived its lock cannot release the one another instance has taken since
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`
+
+// Keeps the current prices of the most requested tokens (see popularity-tracker.js) in the cache. Each run
+// refreshes those of the top N that are missing or would go stale within refreshAheadSeconds, spending at
+// most providerBudget provider lookups. Only one instance warms at a time.
+export class CacheWarmer {
+  constructor({ redisClient, popularity, priceCache, priceResolver }, warmingConfig = config.cache.warming) {
+    this.redisClient = redisClient
+    this.popularity = popularity
+    this.priceCache = priceCache
+    this.priceResolver = priceResolver
+    this.config = warmingConfig
+    this.lockKey = `${config.app.name}:cache-warming:lock`
+    this.instanceId = crypto.randomUUID()
+  }
+
+  // Resolves to { candidates, refreshed, fresh, unpriceable, failed, budgetExhausted }, or null when
+  // another instance is already warming
+  async warm() {
+    const locked = await this.redisClient.set(this.lockKey, this.instanceId, { NX: true, PX: LOCK_MS })
+    if (!locked) {
+      return null
+    }
+
+    try {
+      const candidates = await this.popularity.top(this.config.topN)
+      const results = {
+        candidates: candidates.length,
+        refreshed: 0,
+        fresh: 0,
+        unpriceable: 0,
+        failed: 0,
+        budgetExhausted: false,
+      }
+      let budget = this.config.providerBudget
+
+      for (const { network, token } of candidates) {
+        const request = { token, network, timestamp: null, blockNumber: null }
+        const remainingMs = await this.priceCache.freshForMs(this.priceCache.keyFor(request))
+        if (remainingMs > this.config.refreshAheadSeconds * 1000) {
+          results.fresh++
+          continue
+        }
+        if (await this.priceCache.getUnpriceable(request)) {
+          results.unpriceable++
+          continue
+        }
+        if (budget === 0) {
+          results.budgetExhausted = true
+          break
+        }
+
+        budget--
+        try {
+          if (await this.priceResolver.refresh(request)) {
+            results.refreshed++
+          } else {
+            results.failed++
+          }
+        } catch (error) {
+          logger.warn("Could not warm price", { token, network, error: error.message })
+          results.failed++
+        }
+      }
+
+      return results
+    } finally {
+      await this.redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [this.lockKey], arguments: [this.instanceId] })
+    }
+  }
+}
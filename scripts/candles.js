@@ -0,0 +1,32 @@
+// Candle intervals shared by the rollup writer in DatabaseManager and the v1 read routes
+export const CANDLE_INTERVALS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+}
+
+// The Unix epoch fell on a Thursday; weekly buckets are shifted to start on Monday 00:00 UTC
+const WEEK_OFFSET = 4 * CANDLE_INTERVALS["1d"]
+
+// Start of the bucket that `time` (Date, ISO string or epoch ms) falls into
+export function bucketStart(time, interval) {
+  const width = CANDLE_INTERVALS[interval]
+  const offset = interval === "1w" ? WEEK_OFFSET : 0
+  const ms = new Date(time).getTime()
+  return new Date(Math.floor((ms - offset) / width) * width + offset)
+}
+
+// The same bucket start as a MongoDB aggregation expression over a date or ISO string field (e.g. "$timestamp")
+export function bucketStartExpression(field, interval) {
+  const width = CANDLE_INTERVALS[interval]
+  const offset = interval === "1w" ? WEEK_OFFSET : 0
+  const ms = { $toLong: { $toDate: field } }
+  return { $toDate: { $subtract: [ms, { $mod: [{ $subtract: [ms, offset] }, width] }] } }
+}
+
+// MongoDB collection key (see config.mongodb.collections) holding the candles for an interval
+export function candleCollectionKey(interval) {
+  return `candles${interval}`
+}
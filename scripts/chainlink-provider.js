@@ -0,0 +1,175 @@
+import { Utils } from "alchemy-sdk"
+import { PriceProvider } from "./price-provider.js"
+
+const aggregatorInterface = new Utils.Interface([
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function phaseAggregators(uint16 phaseId) view returns (address)",
+])
+
+const PHASE_OFFSET = 64n
+const AGGREGATOR_ROUND_MASK = (1n << PHASE_OFFSET) - 1n
+
+// Reads Chainlink USD aggregator proxies listed in `AlchemyService.chainlinkFeeds`. Besides pricing the
+// tokens mapped to a feed, it supplies ETH/stablecoin anchors to the DEX provider.
+export class ChainlinkProvider extends PriceProvider {
+  constructor(alchemyService, providerConfig = {}) {
+    super("chainlink", providerConfig)
+    this.alchemyService = alchemyService
+    this.onChain = true
+    this.rateLimitKey = "alchemy" // Feeds are read over Alchemy RPC
+    this.decimalsCache = new Map()
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.alchemyService.chainlinkFeeds[network.toLowerCase()])
+  }
+
+  feedForAsset(network, asset) {
+    return this.alchemyService.chainlinkFeeds[network.toLowerCase()]?.[asset]?.feed || null
+  }
+
+  feedForToken(token, network) {
+    const feeds = Object.values(this.alchemyService.chainlinkFeeds[network.toLowerCase()] || {})
+    const match = feeds.find((entry) => entry.tokens.some((address) => address.toLowerCase() === token.toLowerCase()))
+    return match ? match.feed : null
+  }
+
+  async call(network, contract, method, args = [], blockTag = "latest") {
+    const alchemy = this.alchemyService.getAlchemyInstance(network)
+    const request = { to: contract, data: aggregatorInterface.encodeFunctionData(method, args) }
+    const data = await this.limited(network, () => alchemy.core.call(request, blockTag))
+    return aggregatorInterface.decodeFunctionResult(method, data)
+  }
+
+  async getDecimals(network, feed) {
+    const key = `${network}:${feed.toLowerCase()}`
+    if (!this.decimalsCache.has(key)) {
+      const [decimals] = await this.call(network, feed, "decimals")
+      this.decimalsCache.set(key, Number(decimals))
+    }
+    return this.decimalsCache.get(key)
+  }
+
+  toRound(result) {
+    return {
+      roundId: BigInt(result.roundId.toString()),
+      answer: BigInt(result.answer.toString()),
+      updatedAt: Number(result.updatedAt.toString()),
+    }
+  }
+
+  async latestRound(network, feed, blockTag = "latest") {
+    return this.toRound(await this.call(network, feed, "latestRoundData", [], blockTag))
+  }
+
+  // Rounds that were never written revert, which is reported as null
+  async getRound(network, feed, roundId) {
+    try {
+      const round = this.toRound(await this.call(network, feed, "getRoundData", [roundId]))
+      return round.updatedAt > 0 ? round : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  // Latest round of an earlier phase, read from that phase's underlying aggregator
+  async lastRoundOfPhase(network, feed, phaseId) {
+    const [aggregator] = await this.call(network, feed, "phaseAggregators", [phaseId])
+    if (/^0x0+$/.test(aggregator)) {
+      return null
+    }
+    const round = await this.latestRound(network, aggregator)
+    return (BigInt(phaseId) << PHASE_OFFSET) | (round.roundId & AGGREGATOR_ROUND_MASK)
+  }
+
+  // Binary-searches the proxy's rounds for the last one updated at or before `targetSeconds`.
+  // Proxy round ids are (phaseId << 64) | aggregatorRoundId, so each phase is searched separately,
+  // newest first, until one starts before the target.
+  async findRoundAt(network, feed, targetSeconds) {
+    let lastRoundId = (await this.latestRound(network, feed)).roundId
+    let phaseId = lastRoundId >> PHASE_OFFSET
+
+    while (phaseId > 0n && lastRoundId) {
+      const phaseBase = phaseId << PHASE_OFFSET
+      let low = 1n
+      let high = lastRoundId & AGGREGATOR_ROUND_MASK
+      let found = null
+
+      while (low <= high) {
+        const middle = (low + high) / 2n
+        const round = await this.getRound(network, feed, phaseBase | middle)
+
+        if (round && round.updatedAt <= targetSeconds) {
+          found = round
+          low = middle + 1n
+        } else {
+          high = middle - 1n
+        }
+      }
+
+      if (found) {
+        return found
+      }
+
+      phaseId -= 1n
+      lastRoundId = phaseId > 0n ? await this.lastRoundOfPhase(network, feed, Number(phaseId)) : null
+    }
+
+    return null
+  }
+
+  async toPrice(network, feed, round) {
+    if (!round || round.answer <= 0n) {
+      return null
+    }
+
+    const decimals = await this.getDecimals(network, feed)
+    return {
+      usd: Number(Utils.formatUnits(round.answer, decimals)),
+      lastUpdated: new Date(round.updatedAt * 1000).toISOString(),
+    }
+  }
+
+  isStale(round, referenceSeconds) {
+    return referenceSeconds - round.updatedAt > this.config.maxStalenessSeconds
+  }
+
+  async getFeedPrice(network, feed, timestamp = null, blockNumber = null) {
+    if (timestamp && blockNumber !== null) {
+      // The round that was latest at the block is exactly what consumers saw then
+      const round = await this.latestRound(network, feed, blockNumber)
+      const targetSeconds = Math.floor(new Date(timestamp).getTime() / 1000)
+      return this.isStale(round, targetSeconds) ? null : this.toPrice(network, feed, round)
+    }
+
+    if (timestamp) {
+      const targetSeconds = Math.floor(new Date(timestamp).getTime() / 1000)
+      const round = await this.findRoundAt(network, feed, targetSeconds)
+      return round && !this.isStale(round, targetSeconds) ? this.toPrice(network, feed, round) : null
+    }
+
+    const round = await this.latestRound(network, feed)
+    return this.isStale(round, Math.floor(Date.now() / 1000)) ? null : this.toPrice(network, feed, round)
+  }
+
+  // USD anchor for a reference asset ("ETH", "BTC", "USDC", ...) at a block
+  async getAssetPriceAtBlock(network, asset, blockTag = "latest") {
+    const feed = this.feedForAsset(network, asset)
+    if (!feed) {
+      return null
+    }
+    return this.toPrice(network, feed, await this.latestRound(network, feed, blockTag))
+  }
+
+  async getCurrentPrice(token, network) {
+    const feed = this.feedForToken(token, network)
+    return feed ? this.getFeedPrice(network, feed) : null
+  }
+
+  async getHistoricalPrice(token, network, timestamp, options = {}) {
+    const feed = this.feedForToken(token, network)
+    return feed ? this.getFeedPrice(network, feed, timestamp, options.blockNumber ?? null) : null
+  }
+}
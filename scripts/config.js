@@ -61,6 +61,29 @@ export const config = {
       batchResults: parseInteger(process.env.CACHE_TTL_BATCH_RESULTS, 7200),
       analytics: parseInteger(process.env.CACHE_TTL_ANALYTICS, 3600),
       userSession: parseInteger(process.env.CACHE_TTL_USER_SESSION, 1800),
+      unpriceable: parseInteger(process.env.CACHE_TTL_UNPRICEABLE, 600), // Negative entries for tokens nothing can price
+    },
+    // In-process LRU in front of Redis for hot keys, kept coherent across instances through Redis pub/sub
+    local: {
+      enabled: parseBoolean(process.env.CACHE_LOCAL_ENABLED, false),
+      maxEntries: parseInteger(process.env.CACHE_LOCAL_MAX_ENTRIES, 1000),
+      ttlMs: parseInteger(process.env.CACHE_LOCAL_TTL_MS, 5000),
+    },
+    // Popularity-driven warming: lookups per (network, token) are counted over windowMs, and every run of
+    // the cacheWarming schedule refreshes the topN current prices due to go stale within refreshAheadSeconds,
+    // using at most providerBudget provider lookups
+    warming: {
+      windowMs: parseInteger(process.env.CACHE_WARMING_WINDOW_MS, 3600000),
+      bucketMs: parseInteger(process.env.CACHE_WARMING_BUCKET_MS, 300000),
+      topN: parseInteger(process.env.CACHE_WARMING_TOP_N, 50),
+      providerBudget: parseInteger(process.env.CACHE_WARMING_PROVIDER_BUDGET, 20),
+      refreshAheadSeconds: parseInteger(process.env.CACHE_WARMING_REFRESH_AHEAD_SECONDS, 120),
+    },
+    // Soft TTL for current prices: once ttl.currentPrice has passed, the cached price is still served for
+    // staleTtl more seconds while a single background lookup refreshes it
+    staleWhileRevalidate: {
+      enabled: parseBoolean(process.env.CACHE_STALE_WHILE_REVALIDATE, false),
+      staleTtl: parseInteger(process.env.CACHE_STALE_TTL_CURRENT_PRICE, 300),
     },
   },
 
@@ -90,6 +113,16 @@ export const config = {
       cacheStats: process.env.MONGODB_COLLECTION_CACHE_STATS || "cache_statistics",
       archived: process.env.MONGODB_COLLECTION_ARCHIVED || "archived_prices",
       batchJobs: process.env.MONGODB_COLLECTION_BATCH_JOBS || "batch_jobs",
+      blocks: process.env.MONGODB_COLLECTION_BLOCKS || "block_headers",
+      backfillCheckpoints: process.env.MONGODB_COLLECTION_BACKFILL_CHECKPOINTS || "backfill_checkpoints",
+      deadLetters: process.env.MONGODB_COLLECTION_DEAD_LETTERS || "dead_letter_jobs",
+      apiKeys: process.env.MONGODB_COLLECTION_API_KEYS || "api_keys",
+      users: process.env.MONGODB_COLLECTION_USERS || "dashboard_users",
+      candles1m: process.env.MONGODB_COLLECTION_CANDLES_1M || "price_candles_1m",
+      candles5m: process.env.MONGODB_COLLECTION_CANDLES_5M || "price_candles_5m",
+      candles1h: process.env.MONGODB_COLLECTION_CANDLES_1H || "price_candles_1h",
+      candles1d: process.env.MONGODB_COLLECTION_CANDLES_1D || "price_candles_1d",
+      candles1w: process.env.MONGODB_COLLECTION_CANDLES_1W || "price_candles_1w",
     },
   },
 
@@ -101,6 +134,65 @@ export const config = {
     maxRetries: parseInteger(process.env.ALCHEMY_MAX_RETRIES, 3),
     retryDelay: parseInteger(process.env.ALCHEMY_RETRY_DELAY, 1000),
     rateLimitPerSecond: parseInteger(process.env.ALCHEMY_RATE_LIMIT_PER_SECOND, 5),
+    rpcUrl: process.env.ALCHEMY_RPC_URL || "", // Overrides the per-network endpoint (custom node or local stand-in)
+  },
+
+  // Price Providers (queried in `order`; a provider returning nothing falls through to the next)
+  providers: {
+    order: parseArray(process.env.PRICE_PROVIDERS, ["alchemy", "chainlink", "defillama", "coingecko", "dex"]),
+    timeout: parseInteger(process.env.PRICE_PROVIDER_TIMEOUT, 10000),
+    alchemy: {
+      enabled: parseBoolean(process.env.PROVIDER_ALCHEMY_ENABLED, true),
+    },
+    defillama: {
+      enabled: parseBoolean(process.env.PROVIDER_DEFILLAMA_ENABLED, true),
+      baseUrl: process.env.DEFILLAMA_BASE_URL || "https://coins.llama.fi",
+      searchWidth: process.env.DEFILLAMA_SEARCH_WIDTH || "6h",
+    },
+    coingecko: {
+      enabled: parseBoolean(process.env.PROVIDER_COINGECKO_ENABLED, true),
+      baseUrl: process.env.COINGECKO_BASE_URL || "https://api.coingecko.com/api/v3",
+      apiKey: process.env.COINGECKO_API_KEY || "",
+      apiKeyHeader: process.env.COINGECKO_API_KEY_HEADER || "x-cg-demo-api-key",
+      historicalWindowHours: parseInteger(process.env.COINGECKO_HISTORICAL_WINDOW_HOURS, 12),
+    },
+    chainlink: {
+      enabled: parseBoolean(process.env.PROVIDER_CHAINLINK_ENABLED, true),
+      maxStalenessSeconds: parseInteger(process.env.CHAINLINK_MAX_STALENESS_SECONDS, 86400),
+    },
+    dex: {
+      enabled: parseBoolean(process.env.PROVIDER_DEX_ENABLED, true),
+      feeTiers: parseArray(process.env.DEX_V3_FEE_TIERS, ["500", "3000", "10000"]).map(Number),
+      minLiquidityUsd: parseInteger(process.env.DEX_MIN_LIQUIDITY_USD, 10000),
+    },
+    // With aggregation enabled every provider is asked and the answers are combined
+    aggregation: {
+      enabled: parseBoolean(process.env.PRICE_AGGREGATION_ENABLED, true),
+      method: process.env.PRICE_AGGREGATION_METHOD || "median", // median | trimmed_mean
+      trimPercent: parseInteger(process.env.PRICE_AGGREGATION_TRIM_PERCENT, 20),
+      maxDeviationPercent: Number.parseFloat(process.env.PRICE_AGGREGATION_MAX_DEVIATION_PERCENT) || 5,
+      minSources: parseInteger(process.env.PRICE_AGGREGATION_MIN_SOURCES, 1),
+    },
+    // Request budgets per upstream, enforced through Redis so they hold across every instance and worker.
+    // Chainlink and DEX reads count against the Alchemy budget because they go through Alchemy RPC.
+    rateLimits: {
+      enabled: parseBoolean(process.env.PROVIDER_RATE_LIMIT_ENABLED, true),
+      maxWaitMs: parseInteger(process.env.PROVIDER_RATE_LIMIT_MAX_WAIT_MS, 30000),
+      defaultRetryAfterMs: parseInteger(process.env.PROVIDER_RATE_LIMIT_RETRY_AFTER_MS, 5000), // 429 without Retry-After
+      alchemy: {
+        perSecond: parseInteger(process.env.ALCHEMY_RATE_LIMIT_PER_SECOND, 5),
+        burst: parseInteger(process.env.ALCHEMY_RATE_LIMIT_BURST, 10),
+        perNetworkPerSecond: Number.parseFloat(process.env.ALCHEMY_RATE_LIMIT_PER_NETWORK_PER_SECOND) || 0, // 0 = no per-network cap
+      },
+      coingecko: {
+        perSecond: Number.parseFloat(process.env.COINGECKO_RATE_LIMIT_PER_SECOND) || 0.5,
+        burst: parseInteger(process.env.COINGECKO_RATE_LIMIT_BURST, 5),
+      },
+      defillama: {
+        perSecond: Number.parseFloat(process.env.DEFILLAMA_RATE_LIMIT_PER_SECOND) || 5,
+        burst: parseInteger(process.env.DEFILLAMA_RATE_LIMIT_BURST, 10),
+      },
+    },
   },
 
   // Supported Networks
@@ -137,15 +229,26 @@ export const config = {
       analyticsDays: parseInteger(process.env.DATA_RETENTION_ANALYTICS_DAYS, 7),
       cacheStatsDays: parseInteger(process.env.DATA_RETENTION_CACHE_STATS_DAYS, 30),
       archivedDays: parseInteger(process.env.DATA_RETENTION_ARCHIVED_DAYS, 365),
+      // Intraday candles expire; 0 keeps a candle interval forever
+      candleDays: {
+        "1m": parseInteger(process.env.DATA_RETENTION_CANDLES_1M_DAYS, 7),
+        "5m": parseInteger(process.env.DATA_RETENTION_CANDLES_5M_DAYS, 30),
+        "1h": parseInteger(process.env.DATA_RETENTION_CANDLES_1H_DAYS, 365),
+        "1d": parseInteger(process.env.DATA_RETENTION_CANDLES_1D_DAYS, 0),
+        "1w": parseInteger(process.env.DATA_RETENTION_CANDLES_1W_DAYS, 0),
+      },
     },
     schedules: {
       cacheCleanup: process.env.SCHEDULE_CACHE_CLEANUP || "0 * * * *",
       dataArchival: process.env.SCHEDULE_DATA_ARCHIVAL || "0 3 * * *",
-      cacheWarming: process.env.SCHEDULE_CACHE_WARMING || "0 */6 * * *",
+      cacheWarming: process.env.SCHEDULE_CACHE_WARMING || "* * * * *", // More often than cache.ttl.currentPrice
       metricsCollection: process.env.SCHEDULE_METRICS_COLLECTION || "*/15 * * * *",
       dbOptimization: process.env.SCHEDULE_DB_OPTIMIZATION || "0 2 * * 0",
       dailyHistoricalFetch: process.env.SCHEDULE_DAILY_HISTORICAL_FETCH || "0 2 * * *", // New schedule
     },
+    backfill: {
+      chunkDays: parseInteger(process.env.BACKFILL_CHUNK_DAYS, 30),
+    },
     archive: {
       thresholdDays: parseInteger(process.env.ARCHIVE_THRESHOLD_DAYS, 90),
       compressionEnabled: parseBoolean(process.env.ARCHIVE_COMPRESSION_ENABLED, true),
@@ -162,11 +265,38 @@ export const config = {
     monitoringEnabled: parseBoolean(process.env.MONITORING_ENABLED, true),
   },
 
-  // Rate Limiting
+  // Public read API (/api/v1)
+  api: {
+    defaultPageSize: parseInteger(process.env.API_DEFAULT_PAGE_SIZE, 50),
+    maxPageSize: parseInteger(process.env.API_MAX_PAGE_SIZE, 500),
+    maxBatchItems: parseInteger(process.env.API_MAX_BATCH_ITEMS, 500),
+  },
+
+  // Live price stream (SSE at /api/v1/stream, optional WebSocket)
+  stream: {
+    websocketEnabled: parseBoolean(process.env.STREAM_WEBSOCKET_ENABLED, true),
+    websocketPath: process.env.STREAM_WEBSOCKET_PATH || "/api/v1/stream/ws",
+    heartbeatMs: parseInteger(process.env.STREAM_HEARTBEAT_MS, 15000),
+    retryMs: parseInteger(process.env.STREAM_RETRY_MS, 5000),
+    maxSubscriptions: parseInteger(process.env.STREAM_MAX_SUBSCRIPTIONS, 100),
+  },
+
+  // Rate Limiting (sliding window per API key, or per IP when authentication is disabled)
   rateLimit: {
+    enabled: parseBoolean(process.env.RATE_LIMIT_ENABLED, true),
     windowMs: parseInteger(process.env.RATE_LIMIT_WINDOW_MS, 60000),
     maxRequests: parseInteger(process.env.RATE_LIMIT_MAX_REQUESTS, 100),
     skipSuccessfulRequests: parseBoolean(process.env.RATE_LIMIT_SKIP_SUCCESSFUL_REQUESTS, false),
+    // Separate, smaller budget for routes that can reach price providers or queue backfills
+    expensive: {
+      windowMs: parseInteger(process.env.RATE_LIMIT_EXPENSIVE_WINDOW_MS, 60000),
+      maxRequests: parseInteger(process.env.RATE_LIMIT_EXPENSIVE_MAX_REQUESTS, 20),
+    },
+    // Failed API-key or session checks, counted per client IP before authentication runs
+    failedAuth: {
+      windowMs: parseInteger(process.env.RATE_LIMIT_FAILED_AUTH_WINDOW_MS, 900000),
+      maxRequests: parseInteger(process.env.RATE_LIMIT_FAILED_AUTH_MAX_REQUESTS, 20),
+    },
   },
 
   // Interpolation Engine Configuration
@@ -180,7 +310,7 @@ export const config = {
   // Security Configuration
   security: {
     apiKeyHeader: process.env.API_KEY_HEADER || "x-api-key",
-    apiKeys: parseArray(process.env.API_KEYS, ["dev-key-123"]),
+    apiKeys: parseArray(process.env.API_KEYS, ["dev-key-123"]), // Bootstrap keys, registered with every scope on startup
     corsOrigin: parseArray(process.env.CORS_ORIGIN, ["http://localhost:3000"]),
     corsCredentials: parseBoolean(process.env.CORS_CREDENTIALS, true),
     jwt: {
@@ -188,11 +318,24 @@ export const config = {
       expiresIn: process.env.JWT_EXPIRES_IN || "24h",
       issuer: process.env.JWT_ISSUER || "token-price-api",
     },
+    // API-key authentication for every /api route. Keys are stored hashed in MongoDB; usage is counted in Redis.
+    auth: {
+      enabled: parseBoolean(process.env.API_AUTH_ENABLED, true),
+      defaultRequestsPerDay: parseInteger(process.env.API_KEY_DEFAULT_REQUESTS_PER_DAY, 10000), // 0 = unlimited
+      usageRetentionDays: parseInteger(process.env.API_KEY_USAGE_RETENTION_DAYS, 30),
+      keyCacheTtlMs: parseInteger(process.env.API_KEY_CACHE_TTL_MS, 60000), // How long a revoked key may still work
+    },
+    // First dashboard admin, created on startup if it doesn't exist yet
+    dashboardAdmin: {
+      username: process.env.DASHBOARD_ADMIN_USERNAME || "",
+      password: process.env.DASHBOARD_ADMIN_PASSWORD || "",
+    },
   },
 
   // Logging Configuration
   logging: {
-    format: process.env.LOG_FORMAT || "combined",
+    format: process.env.LOG_FORMAT || "json", // json (one object per line) | pretty
+    fileEnabled: parseBoolean(process.env.LOG_FILE_ENABLED, true),
     filePath: process.env.LOG_FILE_PATH || "./logs/app.log",
     errorFilePath: process.env.LOG_ERROR_FILE_PATH || "./logs/error.log",
     maxSize: process.env.LOG_MAX_SIZE || "10m",
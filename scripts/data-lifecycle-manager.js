@@ -1,35 +1,46 @@
 import cron from "node-cron"
+import { queueBackfill } from "./backfill-jobs.js"
+import { logger } from "./logger.js"
 
 export class DataLifecycleManager {
-  constructor(dbManager, alchemyService, dataLifecycleConfig, performanceConfig, batchQueue) {
+  constructor(
+    dbManager,
+    alchemyService,
+    dataLifecycleConfig,
+    performanceConfig,
+    batchQueue,
+    { priceCache = null, cacheWarmer = null } = {},
+  ) {
     this.dbManager = dbManager
     this.alchemyService = alchemyService
     this.dataLifecycleConfig = dataLifecycleConfig
     this.performanceConfig = performanceConfig
     this.batchQueue = batchQueue // Inject batchQueue
+    this.priceCache = priceCache
+    this.cacheWarmer = cacheWarmer
     this.isRunning = false
     this.jobs = new Map()
   }
 
   start() {
     if (this.isRunning) {
-      console.log("Data lifecycle manager already running")
+      logger.info("Data lifecycle manager already running")
       return
     }
 
     this.scheduleJobs()
     this.isRunning = true
-    console.log("Data lifecycle manager started")
+    logger.info("Data lifecycle manager started")
   }
 
   stop() {
     this.jobs.forEach((job, name) => {
       job.stop()
-      console.log(`Stopped job: ${name}`)
+      logger.info("Stopped lifecycle job", { job: name })
     })
     this.jobs.clear()
     this.isRunning = false
-    console.log("Data lifecycle manager stopped")
+    logger.info("Data lifecycle manager stopped")
   }
 
   scheduleJobs() {
@@ -37,12 +48,13 @@ export class DataLifecycleManager {
     this.jobs.set(
       "cache_cleanup",
       cron.schedule(this.dataLifecycleConfig.schedules.cacheCleanup, async () => {
-        console.log("Running cache cleanup...")
+        logger.info("Running cache cleanup")
         try {
-          // Redis TTL handles most cache cleanup. This can be for more complex logic if needed.
-          console.log("Redis cache cleanup handled by TTL. No manual cleanup needed here.")
+          // Redis expires the price keys themselves; their invalidation index entries are pruned here
+          const pruned = this.priceCache ? await this.priceCache.pruneIndex() : 0
+          logger.info("Cache cleanup completed", { prunedIndexEntries: pruned })
         } catch (error) {
-          console.error("Cache cleanup failed:", error)
+          logger.error("Cache cleanup failed", { error })
         }
       }),
     )
@@ -51,27 +63,28 @@ export class DataLifecycleManager {
     this.jobs.set(
       "data_archival",
       cron.schedule(this.dataLifecycleConfig.schedules.dataArchival, async () => {
-        console.log("Running data archival...")
+        logger.info("Running data archival")
         try {
           const archivedCount = await this.dbManager.archiveOldData(this.dataLifecycleConfig.archive.thresholdDays)
-          console.log(`Data archival completed: ${archivedCount} records archived`)
+          logger.info("Data archival completed", { archivedCount })
         } catch (error) {
-          console.error("Data archival failed:", error)
+          logger.error("Data archival failed", { error })
         }
       }),
     )
 
-    // Cache warming - every 6 hours
-    if (this.performanceConfig.cacheWarmingEnabled) {
+    // Cache warming - every minute, ahead of the current-price TTL
+    if (this.performanceConfig.cacheWarmingEnabled && this.cacheWarmer) {
       this.jobs.set(
         "cache_warming",
         cron.schedule(this.dataLifecycleConfig.schedules.cacheWarming, async () => {
-          console.log("Running cache warming...")
           try {
-            await this.warmPopularCache()
-            console.log("Cache warming completed")
+            const results = await this.warmPopularCache()
+            if (results) {
+              logger.info("Cache warming completed", results)
+            }
           } catch (error) {
-            console.error("Cache warming failed:", error)
+            logger.error("Cache warming failed", { error })
           }
         }),
       )
@@ -83,12 +96,12 @@ export class DataLifecycleManager {
         "metrics_collection",
         cron.schedule(this.dataLifecycleConfig.schedules.metricsCollection, async () => {
           try {
-            console.log("Collecting storage metrics...")
+            logger.info("Collecting storage metrics")
             const metrics = await this.dbManager.getCacheStats(1) // Get today's stats
             // In a real app, you'd push these to a monitoring system or store them
-            console.log("Metrics collected:", metrics)
+            logger.info("Metrics collected", { metrics })
           } catch (error) {
-            console.error("Metrics collection failed:", error)
+            logger.error("Metrics collection failed", { error })
           }
         }),
       )
@@ -98,12 +111,12 @@ export class DataLifecycleManager {
     this.jobs.set(
       "db_optimization",
       cron.schedule(this.dataLifecycleConfig.schedules.dbOptimization, async () => {
-        console.log("Running database optimization...")
+        logger.info("Running database optimization")
         try {
           // This would involve MongoDB commands like compact, reIndex
-          console.log("Database optimization simulated.")
+          logger.info("Database optimization simulated")
         } catch (error) {
-          console.error("Database optimization failed:", error)
+          logger.error("Database optimization failed", { error })
         }
       }),
     )
@@ -112,11 +125,11 @@ export class DataLifecycleManager {
     this.jobs.set(
       "daily_historical_fetch",
       cron.schedule(this.dataLifecycleConfig.schedules.dailyHistoricalFetch || "0 2 * * *", async () => {
-        console.log("Starting daily historical data fetch...")
+        logger.info("Starting daily historical data fetch")
         try {
           // Fetch all known tokens from DB
           const tokensInDb = await this.dbManager.getAllTokens()
-          console.log(`Found ${tokensInDb.length} tokens for daily historical processing.`)
+          logger.info("Found tokens for daily historical processing", { count: tokensInDb.length })
 
           for (const tokenData of tokensInDb) {
             const { token, network } = tokenData
@@ -124,16 +137,16 @@ export class DataLifecycleManager {
 
             if (!actualCreationDate) {
               // If creation date is not stored, try to fetch it from Alchemy
-              console.log(`Fetching creation date for new token: ${token} on ${network}`)
+              logger.info("Fetching creation date for new token", { token, network })
               actualCreationDate = await this.alchemyService.getTokenCreationDate(token, network)
               if (actualCreationDate) {
                 // Store the newly found creation date in DB for future use
                 await this.dbManager.addToken(token, network, actualCreationDate)
-                console.log(`Stored creation date for ${token}: ${actualCreationDate}`)
+                logger.info("Stored token creation date", { token, network, creationDate: actualCreationDate })
               } else {
                 // Fallback to a default if creation date cannot be determined
                 actualCreationDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString() // Default to 1 year ago
-                console.warn(`Could not determine creation date for ${token}, defaulting to 1 year ago.`)
+                logger.warn("Could not determine token creation date, defaulting to 1 year ago", { token, network })
               }
             }
 
@@ -143,48 +156,57 @@ export class DataLifecycleManager {
             const startDate = new Date(actualCreationDate)
             startDate.setUTCHours(0, 0, 0, 0) // Normalize to start of day UTC
 
-            const timestampsToFetch = this.generateDailyTimestamps(startDate, today)
+            const running = await this.dbManager.getRunningBackfill(token, network)
+            let timestampsToFetch
+            if (running) {
+              // An earlier backfill never finished; re-queueing its exact range coalesces with the job if it
+              // is still queued and resumes from its checkpoint if it died
+              timestampsToFetch = this.generateDailyTimestamps(running.startDate, running.endDate)
+            } else {
+              // Only the days after what earlier backfills already covered
+              const coveredThrough = await this.dbManager.getBackfillCoverage(token, network)
+              const firstMissingDay = coveredThrough ? this.nextDay(coveredThrough) : startDate
+              timestampsToFetch = this.generateDailyTimestamps(firstMissingDay, today)
+            }
 
-            // Queue a single batch job for this token's full history
             if (timestampsToFetch.length > 0) {
-              console.log(`Queueing ${timestampsToFetch.length} historical requests for ${token} on ${network}`)
-              await this.batchQueue.add("historical-batch", {
+              const { job, coalesced } = await queueBackfill(this.batchQueue, {
                 token,
                 network,
                 startDate: timestampsToFetch[0],
                 endDate: timestampsToFetch[timestampsToFetch.length - 1],
                 requestId: `daily_fetch_${token}_${Date.now()}`,
               })
+              logger.info(coalesced ? "Backfill already queued" : "Queued daily backfill", {
+                token,
+                network,
+                jobId: job.id,
+                days: timestampsToFetch.length,
+              })
             }
           }
-          console.log("Daily historical data fetch jobs queued.")
+          logger.info("Daily historical data fetch jobs queued")
         } catch (error) {
-          console.error("Daily historical data fetch failed:", error)
+          logger.error("Daily historical data fetch failed", { error })
         }
       }),
     )
 
-    console.log("All lifecycle jobs scheduled")
+    logger.info("All lifecycle jobs scheduled")
   }
 
+  // Refreshes the most requested tokens' current prices before they expire (see cache-warmer.js); resolves
+  // to the run's counts, or null when another instance is warming
   async warmPopularCache() {
-    console.log("Simulating cache warming for popular tokens...")
-    const demoTokens = [
-      { token: "0x1f9840a85d5af5bf1d1762f925bdadgoe987654321", network: "ethereum" },
-      { token: "0x2791bca1f2de4661ed88a30c99a7a9219567bc0e", network: "polygon" },
-    ]
-
-    for (const { token, network } of demoTokens) {
-      const priceData = await this.alchemyService.getTokenPrice(token, network)
-      if (priceData) {
-        // In a real scenario, you'd use the Redis client directly here
-        // await redisClient.setEx(generateCacheKey(token, network), config.cache.ttl.currentPrice, JSON.stringify(priceData));
-        console.log(`Warmed cache for ${token} on ${network}`)
-      }
-    }
+    return this.cacheWarmer.warm()
   }
 
-  async processBatchHistorical(tokens, networks, startDate, endDate) {
+  // Backfills daily prices in chunks of `backfill.chunkDays`. After each chunk a checkpoint per token, network
+  // and range records the last finished day, so a retried or restarted job over the same range resumes after
+  // it. The checkpoint is dropped once the range is done and the token's coverage has been updated.
+  // Days that already have a stored price are found with one range query per chunk and skipped.
+  // `onProgress`, when given, is awaited after every chunk with { completed, total, processed, errors, skipped }
+  async processBatchHistorical(tokens, networks, startDate, endDate, onProgress = null) {
     const results = {
       processed: 0,
       errors: 0,
@@ -194,61 +216,146 @@ export class DataLifecycleManager {
     // Ensure tokens and networks are arrays for consistency
     const tokensToProcess = Array.isArray(tokens) ? tokens : [tokens]
     const networksToProcess = Array.isArray(networks) ? networks : [networks]
+    const timestamps = this.generateDailyTimestamps(new Date(startDate), new Date(endDate))
+    const total = tokensToProcess.length * networksToProcess.length * timestamps.length
+    let completed = 0
+
+    if (timestamps.length === 0) {
+      logger.info("No timestamps to fetch", { startDate, endDate })
+      return results
+    }
+
+    const range = { startDate: timestamps[0], endDate: timestamps[timestamps.length - 1] }
 
     for (const token of tokensToProcess) {
       for (const network of networksToProcess) {
-        const timestamps = this.generateDailyTimestamps(new Date(startDate), new Date(endDate))
-        const requests = timestamps.map((ts) => ({ token, network, timestamp: ts }))
-
-        if (requests.length === 0) {
-          console.log(`No timestamps to fetch for ${token} on ${network} between ${startDate} and ${endDate}`)
-          continue
+        let pending = timestamps
+        let lastCompletedDate = null
+        let firstFailedDate = null
+        const pairResults = { processed: 0, errors: 0, skipped: 0 }
+
+        // Resume an interrupted run over the same range
+        const checkpoint = await this.dbManager.getBackfillCheckpoint(token, network, range)
+        if (checkpoint?.status === "running" && checkpoint.lastCompletedDate) {
+          lastCompletedDate = checkpoint.lastCompletedDate
+          firstFailedDate = checkpoint.firstFailedDate || null
+          pending = timestamps.filter((timestamp) => timestamp > lastCompletedDate)
+          Object.assign(pairResults, checkpoint.results)
+          Object.keys(results).forEach((key) => (results[key] += pairResults[key]))
+          completed += timestamps.length - pending.length
+          logger.info("Resuming backfill", { token, network, lastCompletedDate })
         }
 
-        console.log(`Fetching ${requests.length} historical prices for ${token} on ${network} in batches...`)
+        await this.dbManager.saveBackfillCheckpoint(token, network, range, {
+          status: "running",
+          lastCompletedDate,
+          firstFailedDate,
+          results: pairResults,
+        })
 
-        // Use batchGetTokenPrices for efficient fetching
-        const fetchedPrices = await this.alchemyService.batchGetTokenPrices(requests)
+        logger.info("Fetching historical prices in chunks", { token, network, days: pending.length })
 
-        for (let i = 0; i < fetchedPrices.length; i++) {
-          const price = fetchedPrices[i]
-          const originalRequest = requests[i]
+        for (let i = 0; i < pending.length; i += this.dataLifecycleConfig.backfill.chunkDays) {
+          const chunk = pending.slice(i, i + this.dataLifecycleConfig.backfill.chunkDays)
+          const stored = await this.dbManager.getStoredTimestamps(token, network, chunk[0], chunk[chunk.length - 1])
+          const requests = chunk.filter((timestamp) => !stored.has(timestamp)).map((ts) => ({ token, network, timestamp: ts }))
+          const chunkResults = { processed: 0, errors: 0, skipped: chunk.length - requests.length }
 
-          try {
-            // Check if we already have this data (important for idempotency)
-            const existing = await this.dbManager.getTokenPrice(
-              originalRequest.token,
-              originalRequest.network,
-              originalRequest.timestamp,
-            )
-            if (existing) {
-              results.skipped++
-              continue
-            }
+          // Use batchGetTokenPrices for efficient fetching
+          const fetchedPrices = requests.length ? await this.alchemyService.batchGetTokenPrices(requests) : []
 
-            if (price) {
-              await this.dbManager.storeTokenPrice(price)
-              results.processed++
-            } else {
-              results.errors++
-              console.warn(
-                `Could not fetch price for ${originalRequest.token} on ${originalRequest.network} at ${originalRequest.timestamp}`,
-              )
+          for (let j = 0; j < fetchedPrices.length; j++) {
+            const price = fetchedPrices[j]
+            const originalRequest = requests[j]
+
+            try {
+              if (price) {
+                await this.dbManager.storeTokenPrice(price)
+                chunkResults.processed++
+              } else {
+                chunkResults.errors++
+                firstFailedDate ??= originalRequest.timestamp
+                logger.warn("Could not fetch historical price", {
+                  token: originalRequest.token,
+                  network: originalRequest.network,
+                  timestamp: originalRequest.timestamp,
+                })
+              }
+            } catch (error) {
+              logger.error("Error storing historical price", {
+                token: originalRequest.token,
+                network: originalRequest.network,
+                timestamp: originalRequest.timestamp,
+                error,
+              })
+              chunkResults.errors++
+              firstFailedDate ??= originalRequest.timestamp
             }
-          } catch (error) {
-            console.error(
-              `Error storing price for ${originalRequest.token} on ${originalRequest.network} at ${originalRequest.timestamp}:`,
-              error,
-            )
-            results.errors++
+          }
+
+          Object.keys(results).forEach((key) => {
+            results[key] += chunkResults[key]
+            pairResults[key] += chunkResults[key]
+          })
+          completed += chunk.length
+
+          await this.dbManager.saveBackfillCheckpoint(token, network, range, {
+            lastCompletedDate: chunk[chunk.length - 1],
+            firstFailedDate,
+            results: pairResults,
+          })
+
+          if (onProgress) {
+            await onProgress({ completed, total, ...results })
           }
         }
+
+        await this.dbManager.saveBackfillCoverage(token, network, await this.extendCoverage(token, network, range, firstFailedDate))
+        await this.dbManager.deleteBackfillCheckpoint(token, network, range)
       }
     }
 
     return results
   }
 
+  // `coveredThrough` marks the last day up to which a token's history has been backfilled without gaps in
+  // the requested ranges, which is where the nightly fetch picks up. A finished range only extends it when it
+  // starts no later than the day after the current coverage (or the token's creation day), and only through
+  // the day before its first failed day.
+  async extendCoverage(token, network, range, firstFailedDate = null) {
+    const coveredThrough = await this.dbManager.getBackfillCoverage(token, network)
+    let coverageStart = coveredThrough ? this.nextDay(coveredThrough) : null
+
+    if (!coverageStart) {
+      const tokenData = await this.dbManager.getToken(token, network)
+      if (!tokenData?.creationDate) {
+        return null
+      }
+      coverageStart = new Date(tokenData.creationDate)
+      coverageStart.setUTCHours(0, 0, 0, 0)
+    }
+
+    const coveredEnd = firstFailedDate ? this.previousDay(firstFailedDate).toISOString() : range.endDate
+    if (new Date(range.startDate) > coverageStart || coveredEnd < range.startDate) {
+      return coveredThrough
+    }
+    return coveredThrough && coveredThrough > coveredEnd ? coveredThrough : coveredEnd
+  }
+
+  previousDay(date) {
+    const previous = new Date(date)
+    previous.setUTCHours(0, 0, 0, 0)
+    previous.setUTCDate(previous.getUTCDate() - 1)
+    return previous
+  }
+
+  nextDay(date) {
+    const next = new Date(date)
+    next.setUTCHours(0, 0, 0, 0)
+    next.setUTCDate(next.getUTCDate() + 1)
+    return next
+  }
+
   // Generates daily timestamps (midnight UTC) between two dates
   generateDailyTimestamps(startDate, endDate) {
     const timestamps = []
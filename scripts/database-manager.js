@@ -1,4 +1,6 @@
 import { config } from "./config.js"
+import { CANDLE_INTERVALS, bucketStart, bucketStartExpression, candleCollectionKey } from "./candles.js"
+import { logger } from "./logger.js"
 
 export class DatabaseManager {
   constructor(db, collectionsConfig) {
@@ -11,7 +13,7 @@ export class DatabaseManager {
   }
 
   async initialize() {
-    console.log("Creating database indexes...")
+    logger.info("Creating database indexes")
     const indexOperations = [
       // Token prices indexes
       this.collections.prices.createIndex(
@@ -21,6 +23,7 @@ export class DatabaseManager {
       this.collections.prices.createIndex({ token: 1, network: 1 }, { name: "token_network_lookup" }),
       this.collections.prices.createIndex({ timestamp: 1 }, { name: "timestamp_range_queries" }),
       this.collections.prices.createIndex({ "price.usd": 1 }, { name: "price_value_queries" }),
+      this.collections.prices.createIndex({ "quotes.source": 1 }, { name: "quote_source_audit" }),
       this.collections.prices.createIndex(
         { createdAt: 1 },
         {
@@ -66,10 +69,51 @@ export class DatabaseManager {
           name: "cache_stats_expire",
         },
       ),
+
+      // Block header indexes (timestamp-to-block resolution)
+      this.collections.blocks.createIndex({ network: 1, number: 1 }, { unique: true, name: "block_number_unique" }),
+      this.collections.blocks.createIndex({ network: 1, timestamp: 1 }, { name: "block_timestamp_lookup" }),
+
+      this.collections.prices.createIndex({ token: 1, network: 1, blockNumber: 1 }, { name: "token_network_block" }),
+
+      // Batch job records (mirrors of BullMQ jobs that outlive Redis retention)
+      this.collections.batchJobs.createIndex({ queue: 1, state: 1, createdAt: -1 }, { name: "batch_jobs_state" }),
+
+      // Unfinished backfills per token, looked up by the nightly fetch
+      this.collections.backfillCheckpoints.createIndex(
+        { token: 1, network: 1, status: 1, updatedAt: -1 },
+        { name: "backfill_checkpoints_status" },
+      ),
+
+      // Dead-letter queue
+      this.collections.deadLetters.createIndex({ status: 1, queue: 1, failedAt: -1 }, { name: "dead_letter_status" }),
+
+      // API keys are looked up by the hash of the presented key
+      this.collections.apiKeys.createIndex({ hash: 1 }, { unique: true, name: "api_key_hash_unique" }),
+
+      // Candle rollup indexes, one collection per interval
+      ...Object.keys(CANDLE_INTERVALS).flatMap((interval) => {
+        const collection = this.collections[candleCollectionKey(interval)]
+        const retentionDays = config.dataLifecycle.retention.candleDays[interval]
+        return [
+          collection.createIndex(
+            { token: 1, network: 1, bucketStart: 1 },
+            { unique: true, name: `candles_${interval}_unique` },
+          ),
+          ...(retentionDays > 0
+            ? [
+                collection.createIndex(
+                  { bucketStart: 1 },
+                  { expireAfterSeconds: retentionDays * 24 * 60 * 60, name: `candles_${interval}_expire` },
+                ),
+              ]
+            : []),
+        ]
+      }),
     ]
 
     await Promise.all(indexOperations)
-    console.log("Database indexes created")
+    logger.info("Database indexes created")
   }
 
   async storeTokenPrice(priceData) {
@@ -80,7 +124,11 @@ export class DatabaseManager {
         _id: `${priceData.token}_${priceData.network}_${priceData.timestamp || "current"}`,
       }
 
-      await this.collections.prices.replaceOne({ _id: document._id }, document, { upsert: true })
+      const previous = await this.collections.prices.findOneAndReplace({ _id: document._id }, document, {
+        upsert: true,
+        returnDocument: "before",
+        projection: { interpolated: 1 },
+      })
 
       // Also store token metadata if not exists
       if (priceData.metadata) {
@@ -90,20 +138,26 @@ export class DatabaseManager {
       // Store in historical collection for daily aggregation
       if (priceData.timestamp) {
         await this.storeHistoricalPrice(priceData)
+        // A point stored again is already in its candles, unless it was only interpolated before
+        if (!previous || previous.interpolated) {
+          await this.updateCandles(priceData)
+        }
       }
 
       return true
     } catch (error) {
-      console.error("Error storing token price:", error)
+      logger.error("Error storing token price", { error })
       throw error
     }
   }
 
-  async getTokenPrice(token, network, timestamp = null) {
+  async getTokenPrice(token, network, timestamp = null, options = {}) {
     try {
       const query = { token: token.toLowerCase(), network }
 
-      if (timestamp) {
+      if (options.blockNumber !== undefined && options.blockNumber !== null) {
+        query.blockNumber = options.blockNumber
+      } else if (timestamp) {
         query.timestamp = timestamp
       } else {
         // Get most recent price
@@ -113,7 +167,7 @@ export class DatabaseManager {
 
       return await this.collections.prices.findOne(query)
     } catch (error) {
-      console.error("Error getting token price:", error)
+      logger.error("Error getting token price", { error })
       return null
     }
   }
@@ -147,7 +201,7 @@ export class DatabaseManager {
 
       return [...beforePrices, ...afterPrices].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
     } catch (error) {
-      console.error("Error getting nearest prices:", error)
+      logger.error("Error getting nearest prices", { error })
       return []
     }
   }
@@ -165,20 +219,50 @@ export class DatabaseManager {
 
       return true
     } catch (error) {
-      console.error("Error storing token metadata:", error)
+      logger.error("Error storing token metadata", { error })
       return false
     }
   }
 
-  async getAllTokens() {
+  async getAllTokens(filter = {}, options = {}) {
     try {
-      return await this.collections.tokens.find({}).toArray()
+      let cursor = this.collections.tokens.find(filter).sort({ network: 1, token: 1 })
+      if (options.skip) cursor = cursor.skip(options.skip)
+      if (options.limit) cursor = cursor.limit(options.limit)
+      return await cursor.toArray()
     } catch (error) {
-      console.error("Error getting all tokens:", error)
+      logger.error("Error getting all tokens", { error })
       return []
     }
   }
 
+  async countTokens(filter = {}) {
+    try {
+      return await this.collections.tokens.countDocuments(filter)
+    } catch (error) {
+      logger.error("Error counting tokens", { error })
+      return 0
+    }
+  }
+
+  async getToken(token, network) {
+    try {
+      return await this.collections.tokens.findOne({ token: token.toLowerCase(), network })
+    } catch (error) {
+      logger.error("Error getting token", { error })
+      return null
+    }
+  }
+
+  async getTokenMetadata(token, network) {
+    try {
+      return await this.collections.metadata.findOne({ token: token.toLowerCase(), network })
+    } catch (error) {
+      logger.error("Error getting token metadata", { error })
+      return null
+    }
+  }
+
   async addToken(token, network, creationDate) {
     try {
       const document = {
@@ -192,27 +276,85 @@ export class DatabaseManager {
 
       return true
     } catch (error) {
-      console.error("Error adding token:", error)
+      logger.error("Error adding token", { error })
       return false
     }
   }
 
-  async getPriceHistory(token, network, startDate, endDate) {
+  // Timestamps in [startDate, endDate] that already have a stored price, fetched with a single range query
+  async getStoredTimestamps(token, network, startDate, endDate) {
     try {
-      return await this.collections.prices
-        .find({
-          token: token.toLowerCase(),
-          network,
-          timestamp: {
-            $gte: startDate,
-            $lte: endDate,
-          },
-        })
-        .sort({ timestamp: 1 })
+      const prices = await this.collections.prices
+        .find(
+          { token: token.toLowerCase(), network, timestamp: { $gte: startDate, $lte: endDate } },
+          { projection: { _id: 0, timestamp: 1 } },
+        )
         .toArray()
+      return new Set(prices.map((price) => price.timestamp))
     } catch (error) {
-      console.error("Error getting price history:", error)
-      return []
+      logger.error("Error getting stored timestamps", { error })
+      return new Set()
+    }
+  }
+
+  async getPriceHistory(token, network, startDate, endDate, options = {}) {
+    try {
+      const query = {
+        token: token.toLowerCase(),
+        network,
+        timestamp: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      }
+
+      const [prices, total] = await Promise.all([
+        this.collections.prices
+          .find(query)
+          .sort({ timestamp: 1 })
+          .skip(options.skip || 0)
+          .limit(options.limit || 0)
+          .toArray(),
+        this.collections.prices.countDocuments(query),
+      ])
+
+      return { prices, total }
+    } catch (error) {
+      logger.error("Error getting price history", { error })
+      return { prices: [], total: 0 }
+    }
+  }
+
+  // Price history reduced in MongoDB to the last price seen in each interval bucket
+  async getBucketedPriceHistory(token, network, interval, startDate, endDate, options = {}) {
+    try {
+      const page = [{ $skip: options.skip || 0 }]
+      if (options.limit) page.push({ $limit: options.limit })
+      page.push({ $project: { _id: 0, timestamp: { $dateToString: { date: "$_id" } }, usd: 1, samples: 1 } })
+
+      const [result] = await this.collections.prices
+        .aggregate(
+          [
+            { $match: { token: token.toLowerCase(), network, timestamp: { $gte: startDate, $lte: endDate } } },
+            { $sort: { timestamp: 1 } },
+            {
+              $group: {
+                _id: bucketStartExpression("$timestamp", interval),
+                usd: { $last: "$price.usd" },
+                samples: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $facet: { points: page, total: [{ $count: "count" }] } },
+          ],
+          { allowDiskUse: true },
+        )
+        .toArray()
+
+      return { points: result.points, total: result.total[0]?.count || 0 }
+    } catch (error) {
+      logger.error("Error getting bucketed price history", { error })
+      return { points: [], total: 0 }
     }
   }
 
@@ -236,6 +378,7 @@ export class DatabaseManager {
               timestamp: priceData.timestamp,
               price: priceData.price,
               source: priceData.source || "unknown",
+              quotes: priceData.quotes || [],
             },
           },
           $inc: { "daily_stats.count": 1 },
@@ -251,9 +394,350 @@ export class DatabaseManager {
 
       return true
     } catch (error) {
-      console.error("Error storing historical price:", error)
+      logger.error("Error storing historical price", { error })
+      return false
+    }
+  }
+
+  // Folds a price into the OHLC candle of every interval. Prices can arrive out of order (backfills),
+  // so open/close follow the earliest/latest timestamp seen rather than arrival order. Interpolated
+  // prices are left out so candles only reflect observed prices.
+  async updateCandles(priceData) {
+    if (priceData.interpolated || typeof priceData.price?.usd !== "number") {
       return false
     }
+
+    try {
+      const time = new Date(priceData.timestamp)
+      const usd = priceData.price.usd
+
+      await Promise.all(
+        Object.keys(CANDLE_INTERVALS).map((interval) => {
+          const start = bucketStart(time, interval)
+          return this.collections[candleCollectionKey(interval)].updateOne(
+            { _id: `${priceData.token}_${priceData.network}_${start.toISOString()}` },
+            [
+              {
+                $set: {
+                  token: priceData.token,
+                  network: priceData.network,
+                  bucketStart: start,
+                  open: { $cond: [{ $or: [{ $not: ["$openTime"] }, { $lt: [time, "$openTime"] }] }, usd, "$open"] },
+                  close: { $cond: [{ $or: [{ $not: ["$closeTime"] }, { $gte: [time, "$closeTime"] }] }, usd, "$close"] },
+                  openTime: { $min: ["$openTime", time] },
+                  closeTime: { $max: ["$closeTime", time] },
+                  high: { $max: ["$high", usd] },
+                  low: { $min: ["$low", usd] },
+                  sum: { $add: [{ $ifNull: ["$sum", 0] }, usd] },
+                  count: { $add: [{ $ifNull: ["$count", 0] }, 1] },
+                  updatedAt: "$$NOW",
+                },
+              },
+              { $set: { average: { $divide: ["$sum", "$count"] } } },
+            ],
+            { upsert: true },
+          )
+        }),
+      )
+
+      return true
+    } catch (error) {
+      logger.error("Error updating price candles", { error })
+      return false
+    }
+  }
+
+  async getCandles(token, network, interval, startDate, endDate, options = {}) {
+    try {
+      const query = {
+        token: token.toLowerCase(),
+        network,
+        bucketStart: { $gte: bucketStart(startDate, interval), $lte: new Date(endDate) },
+      }
+      const collection = this.collections[candleCollectionKey(interval)]
+
+      const [candles, total] = await Promise.all([
+        collection
+          .find(query, { projection: { _id: 0, sum: 0 } })
+          .sort({ bucketStart: 1 })
+          .skip(options.skip || 0)
+          .limit(options.limit || 0)
+          .toArray(),
+        collection.countDocuments(query),
+      ])
+
+      return { candles, total }
+    } catch (error) {
+      logger.error("Error getting price candles", { error })
+      return { candles: [], total: 0 }
+    }
+  }
+
+  async storeBlockHeader(header) {
+    try {
+      await this.collections.blocks.updateOne(
+        { network: header.network, number: header.number },
+        { $set: { timestamp: header.timestamp }, $setOnInsert: { storedAt: new Date() } },
+        { upsert: true },
+      )
+      return true
+    } catch (error) {
+      logger.error("Error storing block header", { error })
+      return false
+    }
+  }
+
+  async getBlockHeader(network, number) {
+    try {
+      return await this.collections.blocks.findOne({ network, number }, { projection: { _id: 0, storedAt: 0 } })
+    } catch (error) {
+      logger.error("Error getting block header", { error })
+      return null
+    }
+  }
+
+  // Closest cached headers on either side of a unix timestamp
+  async getBlockBounds(network, timestampSeconds) {
+    try {
+      const projection = { _id: 0, storedAt: 0 }
+      const [before, after] = await Promise.all([
+        this.collections.blocks.findOne(
+          { network, timestamp: { $lte: timestampSeconds } },
+          { sort: { timestamp: -1, number: -1 }, projection },
+        ),
+        this.collections.blocks.findOne(
+          { network, timestamp: { $gt: timestampSeconds } },
+          { sort: { timestamp: 1, number: 1 }, projection },
+        ),
+      ])
+      return { before, after }
+    } catch (error) {
+      logger.error("Error getting block bounds", { error })
+      return { before: null, after: null }
+    }
+  }
+
+  // Progress of one backfill run, keyed by token, network and date range so concurrent ranges of the same
+  // token keep separate checkpoints
+  backfillCheckpointId(token, network, range) {
+    return `${token.toLowerCase()}_${network}_${range.startDate}_${range.endDate}`
+  }
+
+  async getBackfillCheckpoint(token, network, range) {
+    try {
+      return await this.collections.backfillCheckpoints.findOne({ _id: this.backfillCheckpointId(token, network, range) })
+    } catch (error) {
+      logger.error("Error getting backfill checkpoint", { error })
+      return null
+    }
+  }
+
+  async saveBackfillCheckpoint(token, network, range, fields) {
+    try {
+      await this.collections.backfillCheckpoints.updateOne(
+        { _id: this.backfillCheckpointId(token, network, range) },
+        { $set: { token: token.toLowerCase(), network, ...range, ...fields, updatedAt: new Date() } },
+        { upsert: true },
+      )
+      return true
+    } catch (error) {
+      logger.error("Error saving backfill checkpoint", { error })
+      return false
+    }
+  }
+
+  async deleteBackfillCheckpoint(token, network, range) {
+    try {
+      await this.collections.backfillCheckpoints.deleteOne({ _id: this.backfillCheckpointId(token, network, range) })
+      return true
+    } catch (error) {
+      logger.error("Error deleting backfill checkpoint", { error })
+      return false
+    }
+  }
+
+  // The most recently updated backfill of a token that never finished, if any
+  async getRunningBackfill(token, network) {
+    try {
+      return await this.collections.backfillCheckpoints.findOne(
+        { token: token.toLowerCase(), network, status: "running" },
+        { sort: { updatedAt: -1 } },
+      )
+    } catch (error) {
+      logger.error("Error getting running backfill", { error })
+      return null
+    }
+  }
+
+  // How far a token's history has been backfilled, kept in one document per token/network
+  async getBackfillCoverage(token, network) {
+    try {
+      const coverage = await this.collections.backfillCheckpoints.findOne({ _id: `${token.toLowerCase()}_${network}` })
+      return coverage?.coveredThrough || null
+    } catch (error) {
+      logger.error("Error getting backfill coverage", { error })
+      return null
+    }
+  }
+
+  async saveBackfillCoverage(token, network, coveredThrough) {
+    try {
+      await this.collections.backfillCheckpoints.updateOne(
+        { _id: `${token.toLowerCase()}_${network}` },
+        { $set: { token: token.toLowerCase(), network, coveredThrough, updatedAt: new Date() } },
+        { upsert: true },
+      )
+      return true
+    } catch (error) {
+      logger.error("Error saving backfill coverage", { error })
+      return false
+    }
+  }
+
+  async upsertBatchJob(queue, jobId, fields) {
+    try {
+      await this.collections.batchJobs.updateOne(
+        { _id: `${queue}:${jobId}` },
+        { $set: { ...fields, updatedAt: new Date() }, $setOnInsert: { queue, jobId: String(jobId), createdAt: new Date() } },
+        { upsert: true },
+      )
+      return true
+    } catch (error) {
+      logger.error("Error storing batch job", { error })
+      return false
+    }
+  }
+
+  async getBatchJob(queue, jobId) {
+    try {
+      return await this.collections.batchJobs.findOne({ _id: `${queue}:${jobId}` }, { projection: { _id: 0 } })
+    } catch (error) {
+      logger.error("Error getting batch job", { error })
+      return null
+    }
+  }
+
+  async storeDeadLetter(entry) {
+    try {
+      await this.collections.deadLetters.replaceOne({ _id: entry._id }, entry, { upsert: true })
+      return true
+    } catch (error) {
+      logger.error("Error storing dead letter", { error })
+      return false
+    }
+  }
+
+  async getDeadLetters(filter = {}, options = {}) {
+    try {
+      let cursor = this.collections.deadLetters.find(filter).sort({ failedAt: -1 })
+      if (options.skip) cursor = cursor.skip(options.skip)
+      if (options.limit) cursor = cursor.limit(options.limit)
+      return await cursor.toArray()
+    } catch (error) {
+      logger.error("Error getting dead letters", { error })
+      return []
+    }
+  }
+
+  async countDeadLetters(filter = {}) {
+    try {
+      return await this.collections.deadLetters.countDocuments(filter)
+    } catch (error) {
+      logger.error("Error counting dead letters", { error })
+      return 0
+    }
+  }
+
+  async getDeadLetter(id) {
+    try {
+      return await this.collections.deadLetters.findOne({ _id: id })
+    } catch (error) {
+      logger.error("Error getting dead letter", { error })
+      return null
+    }
+  }
+
+  async updateDeadLetter(id, fields) {
+    try {
+      await this.collections.deadLetters.updateOne({ _id: id }, { $set: { ...fields, updatedAt: new Date() } })
+      return true
+    } catch (error) {
+      logger.error("Error updating dead letter", { error })
+      return false
+    }
+  }
+
+  // Inserts an API key record unless one with the same hash exists; returns the stored record
+  async storeApiKey(record) {
+    try {
+      return await this.collections.apiKeys.findOneAndUpdate(
+        { hash: record.hash },
+        { $setOnInsert: record },
+        { upsert: true, returnDocument: "after" },
+      )
+    } catch (error) {
+      logger.error("Error storing API key", { error })
+      return null
+    }
+  }
+
+  async getApiKeyByHash(hash) {
+    try {
+      return await this.collections.apiKeys.findOne({ hash })
+    } catch (error) {
+      logger.error("Error getting API key", { error })
+      return null
+    }
+  }
+
+  async getApiKeys(filter = {}) {
+    try {
+      return await this.collections.apiKeys.find(filter).sort({ createdAt: -1 }).toArray()
+    } catch (error) {
+      logger.error("Error getting API keys", { error })
+      return []
+    }
+  }
+
+  async updateApiKey(id, fields) {
+    try {
+      const result = await this.collections.apiKeys.updateOne({ _id: id }, { $set: { ...fields, updatedAt: new Date() } })
+      return result.matchedCount > 0
+    } catch (error) {
+      logger.error("Error updating API key", { error })
+      return false
+    }
+  }
+
+  // Resolves to false when the username is already taken
+  async storeUser(user) {
+    try {
+      await this.collections.users.insertOne(user)
+      return true
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error("Error storing user", { error })
+      }
+      return false
+    }
+  }
+
+  async getUser(username) {
+    try {
+      return await this.collections.users.findOne({ _id: username })
+    } catch (error) {
+      logger.error("Error getting user", { error })
+      return null
+    }
+  }
+
+  async getUsers() {
+    try {
+      return await this.collections.users.find({}).sort({ createdAt: 1 }).toArray()
+    } catch (error) {
+      logger.error("Error getting users", { error })
+      return []
+    }
   }
 
   async archiveOldData(daysOld = config.dataLifecycle.archive.thresholdDays) {
@@ -281,12 +765,12 @@ export class DatabaseManager {
           createdAt: { $lt: cutoffDate },
         })
 
-        console.log(`Archived ${oldData.length} old price records`)
+        logger.info("Archived old price records", { count: oldData.length })
       }
 
       return oldData.length
     } catch (error) {
-      console.error("Archive operation error:", error)
+      logger.error("Archive operation error", { error })
       return 0
     }
   }
@@ -305,6 +789,7 @@ export class DatabaseManager {
           lastUpdated: new Date(),
           environment: config.app.env,
         },
+        $setOnInsert: { date: today, createdAt: new Date() },
       }
 
       if (strategy) {
@@ -313,52 +798,113 @@ export class DatabaseManager {
 
       await this.collections.cacheStats.updateOne({ _id: statsKey }, update, { upsert: true })
     } catch (error) {
-      console.error("Error updating cache stats:", error)
+      logger.error("Error updating cache stats", { error })
+    }
+  }
+
+  // Adds batched resolution counts ({ date, network, source, count }, see cache-stats.js) to each day's
+  // document: totals by source, cache hits and misses, and the same per network
+  async incrementCacheStats(counts) {
+    try {
+      const updates = new Map()
+      for (const { date, network, source, count } of counts) {
+        const outcome = source === "cache" ? "hit" : "miss"
+        const update = updates.get(date) || {}
+        for (const path of [
+          "operations.total",
+          `operations.${outcome}`,
+          `sources.${source}`,
+          `networks.${network}.total`,
+          `networks.${network}.${outcome}`,
+          `networks.${network}.sources.${source}`,
+        ]) {
+          update[path] = (update[path] || 0) + count
+        }
+        updates.set(date, update)
+      }
+
+      await this.collections.cacheStats.bulkWrite(
+        [...updates].map(([date, inc]) => ({
+          updateOne: {
+            filter: { _id: `cache_stats_${date}` },
+            update: {
+              $inc: inc,
+              $set: { lastUpdated: new Date(), environment: config.app.env },
+              $setOnInsert: { date, createdAt: new Date() },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false },
+      )
+      return true
+    } catch (error) {
+      logger.error("Error recording cache stats", { error })
+      return false
     }
   }
 
+  // Aggregates the last `days` days (today included) of cache_statistics
   async getCacheStats(days = 7) {
     try {
-      const endDate = new Date()
       const startDate = new Date()
-      startDate.setDate(startDate.getDate() - days)
+      startDate.setUTCDate(startDate.getUTCDate() - (days - 1))
 
+      // Documents are keyed by day; older ones have no `date` field, so the range is taken over _id
+      const dayKey = (date) => `cache_stats_${date.toISOString().split("T")[0]}`
       const stats = await this.collections.cacheStats
-        .find({
-          _id: {
-            $gte: startDate.toISOString().split("T")[0],
-            $lte: endDate.toISOString().split("T")[0],
-          },
-        })
+        .find({ _id: { $gte: dayKey(startDate), $lte: dayKey(new Date()) } })
+        .sort({ _id: 1 })
         .toArray()
 
+      const hitRate = (counts) => {
+        const lookups = (counts.hit || 0) + (counts.miss || 0)
+        return lookups > 0 ? ((counts.hit || 0) / lookups) * 100 : 0
+      }
+      const addCounts = (target, counts = {}) => {
+        Object.keys(counts).forEach((key) => {
+          target[key] = (target[key] || 0) + counts[key]
+        })
+      }
+
       // Calculate aggregated stats
       const aggregated = {
         total_operations: 0,
         hit_rate: 0,
         operations: {},
         strategies: {},
-        daily_breakdown: stats,
+        sources: {},
+        networks: {},
+        daily_breakdown: [],
       }
 
       stats.forEach((day) => {
         aggregated.total_operations += day.operations?.total || 0
-        Object.keys(day.operations || {}).forEach((op) => {
-          aggregated.operations[op] = (aggregated.operations[op] || 0) + day.operations[op]
+        addCounts(aggregated.operations, day.operations)
+        addCounts(aggregated.strategies, day.strategies)
+        addCounts(aggregated.sources, day.sources)
+        Object.entries(day.networks || {}).forEach(([network, { sources, ...counts }]) => {
+          const totals = (aggregated.networks[network] ||= { total: 0, hit: 0, miss: 0, hit_rate: 0, sources: {} })
+          addCounts(totals, counts)
+          addCounts(totals.sources, sources)
         })
-        Object.keys(day.strategies || {}).forEach((strategy) => {
-          aggregated.strategies[strategy] = (aggregated.strategies[strategy] || 0) + day.strategies[strategy]
+        aggregated.daily_breakdown.push({
+          date: day._id.slice("cache_stats_".length),
+          total_operations: day.operations?.total || 0,
+          hit_rate: hitRate(day.operations || {}),
+          sources: day.sources || {},
+          networks: day.networks || {},
         })
       })
 
-      if (aggregated.operations.hit && aggregated.operations.total) {
-        aggregated.hit_rate =
-          (aggregated.operations.hit / (aggregated.operations.hit + aggregated.operations.miss)) * 100
-      }
+      aggregated.hit_rate = hitRate(aggregated.operations)
+      Object.values(aggregated.networks).forEach((totals) => {
+        totals.hit_rate = hitRate(totals)
+      })
 
       return aggregated
     } catch (error) {
-      console.error("Error getting cache stats:", error)
+      logger.error("Error getting cache stats", { error })
       return null
     }
   }
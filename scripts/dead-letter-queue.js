@@ -0,0 +1,85 @@
+import { classifyError } from "./error-classifier.js"
+import { logger } from "./logger.js"
+
+// Collects jobs that will not be retried any more (attempts exhausted or an unrecoverable error) into
+// MongoDB, with the failure reason, stack and input, so they can be inspected, requeued or discarded.
+export class DeadLetterQueue {
+  constructor(dbManager, queues) {
+    this.dbManager = dbManager
+    this.queues = queues // public queue name ("price", "batch") -> BullMQ Queue
+  }
+
+  isFinalFailure(job, error) {
+    return error?.name === "UnrecoverableError" || job.attemptsMade >= (job.opts.attempts || 1)
+  }
+
+  attach(worker, queueKey) {
+    worker.on("failed", async (job, error) => {
+      if (!job || !this.isFinalFailure(job, error)) return
+
+      const { category, retryable } = classifyError(error)
+      await this.dbManager.storeDeadLetter({
+        _id: `${queueKey}:${job.id}`,
+        queue: queueKey,
+        jobId: String(job.id),
+        name: job.name,
+        data: job.data,
+        opts: job.opts,
+        attemptsMade: job.attemptsMade,
+        failedReason: error.message,
+        stack: error.stack || null,
+        category,
+        retryable,
+        status: "dead",
+        failedAt: new Date(),
+      })
+      logger.warn("Job moved to the dead-letter queue", { queue: queueKey, jobId: job.id, category, error: error.message })
+    })
+  }
+
+  async list(filter = {}, options = {}) {
+    const [entries, total] = await Promise.all([
+      this.dbManager.getDeadLetters(filter, options),
+      this.dbManager.countDeadLetters(filter),
+    ])
+    return { entries, total }
+  }
+
+  async get(id) {
+    return this.dbManager.getDeadLetter(id)
+  }
+
+  // Adds the job back to its queue with its original name, data and options. The failed BullMQ job is
+  // removed first because a deterministic job id would otherwise make the add a no-op.
+  async requeue(id) {
+    const entry = await this.dbManager.getDeadLetter(id)
+    if (!entry || entry.status !== "dead") {
+      return null
+    }
+
+    const queue = this.queues[entry.queue]
+    await this.removeFailedJob(queue, entry.jobId)
+
+    const job = await queue.add(entry.name, entry.data, entry.opts || {})
+    await this.dbManager.updateDeadLetter(id, { status: "requeued", requeuedAs: String(job.id), requeuedAt: new Date() })
+    return job
+  }
+
+  async discard(id) {
+    const entry = await this.dbManager.getDeadLetter(id)
+    if (!entry || entry.status !== "dead") {
+      return false
+    }
+
+    await this.removeFailedJob(this.queues[entry.queue], entry.jobId)
+    await this.dbManager.updateDeadLetter(id, { status: "discarded", discardedAt: new Date() })
+    return true
+  }
+
+  async removeFailedJob(queue, jobId) {
+    const job = await queue.getJob(jobId)
+    if (job && (await job.getState()) === "failed") {
+      await job.remove()
+    }
+  }
+}
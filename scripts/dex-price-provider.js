@@ -0,0 +1,259 @@
+import { Utils } from "alchemy-sdk"
+import { PriceProvider } from "./price-provider.js"
+import { logger } from "./logger.js"
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+const factoryInterface = new Utils.Interface([
+  "function getPair(address tokenA, address tokenB) view returns (address pair)",
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)",
+])
+
+const poolInterface = new Utils.Interface([
+  "function token0() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+])
+
+const erc20Interface = new Utils.Interface([
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+])
+
+// Prices long-tail tokens from Uniswap v2/v3-style pool state read through the Alchemy provider.
+// Tokens are priced against a WETH or USDC pool; those references are valued through Chainlink when
+// available, otherwise USDC at peg and WETH through its USDC pool.
+export class DexPriceProvider extends PriceProvider {
+  constructor(alchemyService, providerConfig = {}) {
+    super("dex", providerConfig)
+    this.alchemyService = alchemyService
+    this.onChain = true
+    this.rateLimitKey = "alchemy" // Pool state is read over Alchemy RPC
+    this.anchorProvider = null // ChainlinkProvider, set by createPriceProviders
+    this.decimalsCache = new Map()
+    this.poolCache = new Map()
+
+    // Factory and reference-asset addresses per network (v2 factories are Uniswap/Sushi/QuickSwap forks)
+    this.deployments = {
+      ethereum: {
+        v2Factory: "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f",
+        v3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+        weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+        usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+      },
+      polygon: {
+        v2Factory: "0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32",
+        v3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+        weth: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",
+        usdc: "0x2791Bca1f2de4661ED88A30C99A7a9219567bC0e",
+      },
+      arbitrum: {
+        v2Factory: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4",
+        v3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+        weth: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+        usdc: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+      },
+      optimism: {
+        v2Factory: null,
+        v3Factory: "0x1F98431c8aD98523631AE4a59f267346ea31F984",
+        weth: "0x4200000000000000000000000000000000000006",
+        usdc: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+      },
+    }
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.deployments[network.toLowerCase()])
+  }
+
+  async call(network, contract, contractInterface, method, args = [], blockTag = "latest") {
+    const alchemy = this.alchemyService.getAlchemyInstance(network)
+    const request = { to: contract, data: contractInterface.encodeFunctionData(method, args) }
+    const data = await this.limited(network, () => alchemy.core.call(request, blockTag))
+    return contractInterface.decodeFunctionResult(method, data)
+  }
+
+  async getDecimals(network, token) {
+    const key = `${network}:${token.toLowerCase()}`
+    if (!this.decimalsCache.has(key)) {
+      const [decimals] = await this.call(network, token, erc20Interface, "decimals")
+      this.decimalsCache.set(key, Number(decimals))
+    }
+    return this.decimalsCache.get(key)
+  }
+
+  // Pool addresses never change once deployed, so non-empty lookups are kept for the life of the process
+  async findPools(network, token, reference) {
+    const key = `${network}:${token.toLowerCase()}:${reference.toLowerCase()}`
+    if (this.poolCache.has(key)) {
+      return this.poolCache.get(key)
+    }
+
+    const deployment = this.deployments[network.toLowerCase()]
+    const lookups = []
+
+    if (deployment.v2Factory) {
+      lookups.push(
+        this.call(network, deployment.v2Factory, factoryInterface, "getPair", [token, reference]).then(([address]) => ({
+          address,
+          version: 2,
+        })),
+      )
+    }
+
+    if (deployment.v3Factory) {
+      for (const fee of this.config.feeTiers) {
+        lookups.push(
+          this.call(network, deployment.v3Factory, factoryInterface, "getPool", [token, reference, fee]).then(
+            ([address]) => ({ address, version: 3, fee }),
+          ),
+        )
+      }
+    }
+
+    const pools = (await Promise.allSettled(lookups))
+      .filter((outcome) => outcome.status === "fulfilled" && outcome.value.address !== ZERO_ADDRESS)
+      .map((outcome) => outcome.value)
+
+    if (pools.length > 0) {
+      this.poolCache.set(key, pools)
+    }
+    return pools
+  }
+
+  // Price of one `token` in `reference` units from a single pool, plus the reference balance the pool holds
+  async quotePool(network, pool, token, reference, blockTag) {
+    const [[token0], tokenDecimals, referenceDecimals, [referenceBalance]] = await Promise.all([
+      this.call(network, pool.address, poolInterface, "token0", [], blockTag),
+      this.getDecimals(network, token),
+      this.getDecimals(network, reference),
+      this.call(network, reference, erc20Interface, "balanceOf", [pool.address], blockTag),
+    ])
+    const tokenIsToken0 = token0.toLowerCase() === token.toLowerCase()
+
+    let price
+    if (pool.version === 2) {
+      const { reserve0, reserve1 } = await this.call(network, pool.address, poolInterface, "getReserves", [], blockTag)
+      const [tokenReserve, referenceReserve] = tokenIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0]
+      if (tokenReserve.isZero()) {
+        return null
+      }
+      price =
+        Number(Utils.formatUnits(referenceReserve, referenceDecimals)) /
+        Number(Utils.formatUnits(tokenReserve, tokenDecimals))
+    } else {
+      const { sqrtPriceX96 } = await this.call(network, pool.address, poolInterface, "slot0", [], blockTag)
+      const sqrtPrice = Number(sqrtPriceX96.toString()) / 2 ** 96
+      // sqrtPriceX96^2 is token1 per token0 in raw units; rescale to whole tokens
+      const [decimals0, decimals1] = tokenIsToken0 ? [tokenDecimals, referenceDecimals] : [referenceDecimals, tokenDecimals]
+      const price1Per0 = sqrtPrice * sqrtPrice * 10 ** (decimals0 - decimals1)
+      price = tokenIsToken0 ? price1Per0 : 1 / price1Per0
+    }
+
+    return {
+      price,
+      referenceLiquidity: Number(Utils.formatUnits(referenceBalance, referenceDecimals)),
+      pool,
+    }
+  }
+
+  // Quote from the pool holding the most reference liquidity
+  async priceInReference(network, token, reference, blockTag) {
+    const pools = await this.findPools(network, token, reference)
+    const outcomes = await Promise.allSettled(
+      pools.map((pool) => this.quotePool(network, pool, token, reference, blockTag)),
+    )
+
+    const quotes = outcomes
+      .filter((outcome) => outcome.status === "fulfilled" && outcome.value && Number.isFinite(outcome.value.price))
+      .map((outcome) => outcome.value)
+      .filter((quote) => quote.price > 0)
+      .sort((a, b) => b.referenceLiquidity - a.referenceLiquidity)
+
+    return quotes[0] || null
+  }
+
+  async getReferenceUsd(network, reference, blockTag) {
+    if (this.anchorProvider) {
+      try {
+        const anchor = await this.anchorProvider.getAssetPriceAtBlock(network, reference === "weth" ? "ETH" : "USDC", blockTag)
+        if (anchor) {
+          return anchor.usd
+        }
+      } catch (error) {
+        logger.warn("Chainlink anchor unavailable", { reference, network, error: error.message })
+      }
+    }
+
+    // Without an oracle anchor, USDC is taken at peg and WETH through its USDC pool
+    if (reference === "usdc") {
+      return 1
+    }
+
+    const deployment = this.deployments[network.toLowerCase()]
+    const quote = await this.priceInReference(network, deployment.weth, deployment.usdc, blockTag)
+    return quote ? quote.price : null
+  }
+
+  // Resolves to { usd, liquidityUsd, reference } or null when no pool has enough liquidity
+  async priceAtBlock(token, network, blockTag = "latest") {
+    const deployment = this.deployments[network.toLowerCase()]
+    const address = token.toLowerCase()
+
+    // Reference assets are priced directly from their anchors
+    for (const reference of ["usdc", "weth"]) {
+      if (address === deployment[reference].toLowerCase()) {
+        const usd = await this.getReferenceUsd(network, reference, blockTag)
+        return usd ? { usd, liquidityUsd: Infinity, reference } : null
+      }
+    }
+
+    let best = null
+    for (const reference of ["usdc", "weth"]) {
+      const quote = await this.priceInReference(network, token, deployment[reference], blockTag)
+      if (!quote) continue
+
+      const referenceUsd = await this.getReferenceUsd(network, reference, blockTag)
+      if (!referenceUsd) continue
+
+      const liquidityUsd = quote.referenceLiquidity * referenceUsd
+      if (!best || liquidityUsd > best.liquidityUsd) {
+        best = { usd: quote.price * referenceUsd, liquidityUsd, reference }
+      }
+    }
+
+    if (!best || best.liquidityUsd < this.config.minLiquidityUsd) {
+      return null
+    }
+    return best
+  }
+
+  async getCurrentPrice(token, network) {
+    const quote = await this.priceAtBlock(token, network)
+    if (!quote) {
+      return null
+    }
+
+    return {
+      usd: quote.usd,
+      lastUpdated: new Date().toISOString(),
+    }
+  }
+
+  // Pool state is only meaningful at a specific block, so historical lookups need one
+  async getHistoricalPrice(token, network, timestamp, options = {}) {
+    if (options.blockNumber === undefined || options.blockNumber === null) {
+      return null
+    }
+
+    const quote = await this.priceAtBlock(token, network, options.blockNumber)
+    if (!quote) {
+      return null
+    }
+
+    return {
+      usd: quote.usd,
+      lastUpdated: new Date(timestamp).toISOString(),
+    }
+  }
+}
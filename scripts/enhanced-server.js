@@ -7,6 +7,35 @@ import { InterpolationEngine } from "./interpolation-engine.js"
 import { DatabaseManager } from "./database-manager.js"
 import { AlchemyService } from "./alchemy-service.js"
 import { DataLifecycleManager } from "./data-lifecycle-manager.js"
+import { PriceCache } from "./price-cache.js"
+import { PriceResolver, PriceRequestError } from "./price-resolver.js"
+import { createPriceRouter } from "./price-routes.js"
+import { PriceStream } from "./price-stream.js"
+import { JobTracker } from "./job-tracker.js"
+import { createJobRouter } from "./job-routes.js"
+import { queueBackfill } from "./backfill-jobs.js"
+import { DeadLetterQueue } from "./dead-letter-queue.js"
+import { toJobError } from "./error-classifier.js"
+import { createAdminRouter } from "./admin-routes.js"
+import { RateLimiter } from "./rate-limiter.js"
+import { ApiKeyManager } from "./api-keys.js"
+import { authenticateRequest, createApiKeyAuth, createUserAuth, requireScope } from "./api-auth.js"
+import { createAccountRouter } from "./account-routes.js"
+import { UserManager } from "./users.js"
+import { createAuthRouter } from "./auth-routes.js"
+import { createRequestLimit } from "./request-limiter.js"
+import { CacheStatsRecorder } from "./cache-stats.js"
+import { createStatsRouter } from "./stats-routes.js"
+import { PopularityTracker } from "./popularity-tracker.js"
+import { CacheWarmer } from "./cache-warmer.js"
+import {
+  httpMetricsMiddleware,
+  registerDependencyMetrics,
+  registerQueueMetrics,
+  sendMetrics,
+  startMetricsServer,
+} from "./metrics.js"
+import { currentRequestId, logger, requestLogging, tracedProcessor } from "./logger.js"
 import { config, validateConfig } from "./config.js"
 
 // Validate configuration on startup
@@ -16,8 +45,10 @@ const app = express()
 const PORT = config.app.port
 
 // Middleware
+app.use(httpMetricsMiddleware)
 app.use(cors({ origin: config.security.corsOrigin, credentials: config.security.corsCredentials }))
 app.use(express.json())
+app.use(requestLogging)
 
 // Redis client setup
 const redisClient = redis.createClient({
@@ -26,12 +57,12 @@ const redisClient = redis.createClient({
   database: config.redis.db,
 })
 
-redisClient.on("error", (err) => {
-  console.error("Redis Client Error:", err)
+redisClient.on("error", (error) => {
+  logger.error("Redis client error", { error })
 })
 
 redisClient.on("connect", () => {
-  console.log("Connected to Redis")
+  logger.info("Connected to Redis")
 })
 
 // MongoDB setup
@@ -43,6 +74,42 @@ let dbManager
 let alchemyService
 let interpolationEngine
 let dataLifecycleManager
+let priceCache
+let priceResolver
+let cacheStats
+let priceStream
+let jobTracker
+let deadLetterQueue
+let apiKeyManager
+let apiKeyAuth
+let userManager
+let userAuth
+
+// Rejected credentials are charged against the caller's IP before authentication runs, so guessing keys
+// or session tokens is throttled too
+app.use(
+  "/api",
+  createRequestLimit(redisClient, "failed-auth", { ...config.rateLimit.failedAuth, countStatuses: [401] }),
+)
+
+// Every /api route needs an API key, and dashboard requests add the user's session token (both middlewares
+// are created once MongoDB and Redis are connected); routes check the scope they need with requireScope
+app.use("/api", (req, res, next) => apiKeyAuth(req, res, next))
+app.use("/api", (req, res, next) => userAuth(req, res, next))
+
+// Every /api request draws from the general budget; routes that can reach price providers or queue
+// backfills also draw from the smaller expensive one
+app.use("/api", createRequestLimit(redisClient, "default", config.rateLimit))
+const expensiveLimit = createRequestLimit(redisClient, "expensive", {
+  ...config.rateLimit.expensive,
+  skipSuccessfulRequests: config.rateLimit.skipSuccessfulRequests,
+})
+app.post("/api/tokens", expensiveLimit)
+app.post("/api/batch/historical", expensiveLimit)
+app.get("/api/v1/prices/:network/:token", expensiveLimit)
+app.post("/api/v1/prices/batch", expensiveLimit)
+app.post("/api/v1/jobs/:id/retry", expensiveLimit)
+app.post("/api/v1/admin/dead-letters/:id/requeue", expensiveLimit)
 
 // Bull Queue setup
 const priceQueue = new Queue(config.queue.names.priceProcessing, {
@@ -63,153 +130,52 @@ const batchQueue = new Queue(config.queue.names.batchProcessing, {
   },
 })
 
-// Helper function to generate cache key
-function generateCacheKey(token, network, timestamp = null) {
-  const key = `${config.app.name}:price:${network}:${token.toLowerCase()}`
-  return timestamp ? `${key}:${timestamp}` : `${key}:current`
+// How each resolution source is reported by the legacy lookup endpoint
+const resolutionResponses = {
+  cache: (data) => ({ message: "Price retrieved from cache", data: { ...data, cached: true } }),
+  database: (data) => ({ message: "Price retrieved from database", data: { ...data, cached: false, fromDB: true } }),
+  provider: (data) => ({
+    message: `Price retrieved from ${data.source}`,
+    data: { ...data, cached: false, fromAPI: true },
+  }),
+  interpolation: (data) => ({
+    message: "Price interpolated from available data",
+    data: { ...data, cached: false, interpolated: true },
+  }),
 }
 
 // Enhanced API endpoint with MongoDB persistence and interpolation
-app.post("/api/tokens", async (req, res) => {
+app.post("/api/tokens", requireScope("read"), async (req, res) => {
   try {
-    const { token, network, timestamp } = req.body
+    const request = await priceResolver.normalize(req.body)
+    const { source, data, stale, ageSeconds } = await priceResolver.resolve(request)
 
-    // Validate input
-    if (!token || !network) {
-      return res.status(400).json({
+    if (source === "queue") {
+      return res.status(202).json({
         success: false,
-        message: "Token address and network are required",
+        message: "Price not available, added to processing queue",
+        queued: true,
       })
     }
 
-    const tokenRegex = /^0x[a-fA-F0-9]{40}$/
-    if (!tokenRegex.test(token)) {
-      return res.status(400).json({
+    if (source === "unpriceable") {
+      return res.status(404).json({
         success: false,
-        message: "Invalid token address format",
+        message: `Token cannot be priced: ${data.message}`,
+        unpriceable: data,
       })
     }
 
-    if (!config.networks.supported.includes(network.toLowerCase())) {
-      return res.status(400).json({
+    return res.json({ success: true, ...resolutionResponses[source]({ ...data, stale, ageSeconds }) })
+  } catch (error) {
+    if (error instanceof PriceRequestError) {
+      return res.status(error.status).json({
         success: false,
-        message: `Unsupported network: ${network}. Supported networks are: ${config.networks.supported.join(", ")}`,
-      })
-    }
-
-    const cacheKey = generateCacheKey(token, network, timestamp)
-    console.log(`Processing request for token: ${token} on network: ${network}`)
-
-    // Step 1: Check Redis cache
-    console.log("Checking Redis cache...")
-    const cachedPrice = await redisClient.get(cacheKey)
-
-    if (cachedPrice) {
-      console.log("Cache HIT - Returning cached price")
-      const parsedCache = JSON.parse(cachedPrice)
-      return res.json({
-        success: true,
-        message: "Price retrieved from cache",
-        data: { ...parsedCache, cached: true },
-      })
-    }
-
-    console.log("Cache MISS - Checking MongoDB...")
-
-    // Step 2: Check MongoDB for historical data
-    const dbPrice = await dbManager.getTokenPrice(token, network, timestamp)
-    if (dbPrice) {
-      console.log("Found price in MongoDB")
-      // Cache in Redis for future requests
-      await redisClient.setEx(cacheKey, config.cache.ttl.currentPrice, JSON.stringify(dbPrice))
-      return res.json({
-        success: true,
-        message: "Price retrieved from database",
-        data: { ...dbPrice, cached: false, fromDB: true },
-      })
-    }
-
-    console.log("Price not found in DB - Querying Alchemy API...")
-
-    // Step 3: Query Alchemy API
-    const alchemyPrice = await alchemyService.getTokenPrice(token, network, timestamp)
-
-    if (alchemyPrice) {
-      console.log("Price found in Alchemy API")
-
-      // Store in both Redis and MongoDB
-      await Promise.all([
-        redisClient.setEx(cacheKey, config.cache.ttl.currentPrice, JSON.stringify(alchemyPrice)),
-        dbManager.storeTokenPrice(alchemyPrice),
-      ])
-
-      // If this is the first time we've seen this token, add it to the tokens collection
-      const existingToken = await dbManager
-        .getAllTokens()
-        .then((tokens) => tokens.find((t) => t.token === token.toLowerCase() && t.network === network))
-      if (!existingToken) {
-        const creationDate = await alchemyService.getTokenCreationDate(token, network)
-        if (creationDate) {
-          await dbManager.addToken(token, network, creationDate)
-          console.log(`Added new token ${token} with creation date ${creationDate}`)
-        } else {
-          console.warn(`Could not determine creation date for new token ${token}`)
-        }
-      }
-
-      return res.json({
-        success: true,
-        message: "Price retrieved from Alchemy API",
-        data: { ...alchemyPrice, cached: false, fromAPI: true },
+        message: error.message,
       })
     }
 
-    console.log("Price missing from Alchemy - Using interpolation engine...")
-
-    // Step 4: Use Interpolation Engine
-    const interpolatedPrice = await interpolationEngine.interpolatePrice(token, network, timestamp)
-
-    if (interpolatedPrice) {
-      console.log("Price interpolated successfully")
-
-      // Store interpolated price in both Redis and MongoDB
-      await Promise.all([
-        redisClient.setEx(cacheKey, config.cache.ttl.interpolatedPrice, JSON.stringify(interpolatedPrice)),
-        dbManager.storeTokenPrice({ ...interpolatedPrice, interpolated: true }),
-      ])
-
-      return res.json({
-        success: true,
-        message: "Price interpolated from available data",
-        data: { ...interpolatedPrice, cached: false, interpolated: true },
-      })
-    }
-
-    // Step 5: Add to queue for background processing
-    await priceQueue.add(
-      "fetch-missing-price",
-      {
-        token,
-        network,
-        timestamp,
-        priority: timestamp ? 1 : 10, // Current prices have higher priority
-      },
-      {
-        attempts: config.queue.settings.defaultJobAttempts,
-        backoff: {
-          type: config.queue.settings.defaultJobBackoff,
-          delay: config.queue.settings.defaultJobDelay,
-        },
-      },
-    )
-
-    return res.status(202).json({
-      success: false,
-      message: "Price not available, added to processing queue",
-      queued: true,
-    })
-  } catch (error) {
-    console.error("API Error:", error)
+    logger.error("Price lookup failed", { error })
     return res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -219,33 +185,66 @@ app.post("/api/tokens", async (req, res) => {
 })
 
 // Batch processing endpoint
-app.post("/api/batch/historical", async (req, res) => {
+app.post("/api/batch/historical", requireScope("backfill"), async (req, res) => {
   try {
-    const { token, network, startDate, endDate } = req.body // Expect single token/network for full history
+    let { startDate, endDate } = req.body
 
-    if (!token || !network || !startDate || !endDate) {
+    if (!req.body.token || !req.body.network) {
       return res.status(400).json({
         success: false,
-        message: "Token, network, startDate, and endDate are required",
+        message: "Token and network are required",
       })
     }
 
-    // Add batch job to queue
-    const jobId = await batchQueue.add("historical-batch", {
-      token, // Pass single token
-      network, // Pass single network
+    // Normalized first, so "Ethereum" and "ethereum" coalesce into the same job
+    const { token, network } = await priceResolver.normalize({ token: req.body.token, network: req.body.network })
+    if ([startDate, endDate].some((date) => date && Number.isNaN(new Date(date).getTime()))) {
+      throw new PriceRequestError("startDate and endDate must be ISO 8601 dates")
+    }
+
+    // Without explicit dates this is a full-history backfill: from the token's creation date until today
+    endDate = endDate || new Date().toISOString().split("T")[0]
+    startDate = startDate || (await alchemyService.getTokenCreationDate(token, network))
+    if (!startDate) {
+      return res.status(422).json({
+        success: false,
+        message: "Could not determine the token's creation date; pass startDate explicitly",
+      })
+    }
+    if (new Date(startDate) > new Date(endDate)) {
+      throw new PriceRequestError("startDate must not be after endDate")
+    }
+
+    // Add batch job to queue, or join the identical backfill that is already queued or running
+    const { job, coalesced } = await queueBackfill(batchQueue, {
+      token,
+      network,
       startDate,
       endDate,
-      requestId: `batch_full_history_${token}_${Date.now()}`,
+      requestId: currentRequestId(),
     })
+    if (!coalesced) {
+      await jobTracker.recordQueued("batch", job)
+    }
 
     res.json({
       success: true,
-      message: "Full historical data processing job queued",
-      jobId: jobId.id,
+      message: coalesced
+        ? "An identical historical data processing job is already queued"
+        : "Full historical data processing job queued",
+      jobId: job.id,
+      coalesced,
+      statusUrl: `/api/v1/jobs/${job.id}?queue=batch`,
     })
   } catch (error) {
-    console.error("Batch API Error:", error)
+    if (error instanceof PriceRequestError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Failed to queue batch job", { error })
     res.status(500).json({
       success: false,
       message: "Failed to queue batch job",
@@ -254,7 +253,7 @@ app.post("/api/batch/historical", async (req, res) => {
 })
 
 // Queue status endpoint
-app.get("/api/queue/status", async (req, res) => {
+app.get("/api/queue/status", requireScope("read"), async (req, res) => {
   try {
     const [priceStats, batchStats] = await Promise.all([priceQueue.getJobCounts(), batchQueue.getJobCounts()])
 
@@ -281,9 +280,10 @@ app.get(config.monitoring.healthCheck.path, async (req, res) => {
     // Check MongoDB connection
     await mongoClient.db().command({ ping: 1 })
 
-    // DEBUG: Log queue client statuses
-    console.log("DEBUG: priceQueue client status:", priceQueue?.client?.status)
-    console.log("DEBUG: batchQueue client status:", batchQueue?.client?.status)
+    logger.debug("Queue client status", {
+      priceQueue: priceQueue?.client?.status,
+      batchQueue: batchQueue?.client?.status,
+    })
 
     // Check BullMQ queue connections
     const priceQueueReady = priceQueue.client.status === "ready"
@@ -299,6 +299,8 @@ app.get(config.monitoring.healthCheck.path, async (req, res) => {
           config.alchemy.apiKey && config.alchemy.apiKey !== "your_alchemy_api_key_here"
             ? "configured"
             : "not configured",
+        priceProviders: alchemyService.providers.map((provider) => provider.name),
+        streamConnections: priceStream.connections,
         queues: {
           priceQueue: priceQueueReady ? "ready" : priceQueue.client.status,
           batchQueue: batchQueueReady ? "ready" : batchQueue.client.status,
@@ -306,7 +308,7 @@ app.get(config.monitoring.healthCheck.path, async (req, res) => {
       },
     })
   } catch (error) {
-    console.error("Health check error:", error)
+    logger.error("Health check failed", { error })
     res.status(503).json({
       status: "unhealthy",
       error: error.message,
@@ -319,20 +321,50 @@ async function startServer() {
   try {
     // Connect to Redis
     await redisClient.connect()
-    console.log("Redis connected successfully")
+    logger.info("Redis connected")
 
     // Connect to MongoDB
     await mongoClient.connect()
     db = mongoClient.db(config.mongodb.database)
-    console.log("MongoDB connected successfully")
+    logger.info("MongoDB connected", { database: config.mongodb.database })
 
     // Initialize services
     dbManager = new DatabaseManager(db, config.mongodb.collections)
-    alchemyService = new AlchemyService()
+    const rateLimiter = config.providers.rateLimits.enabled ? new RateLimiter(redisClient) : null
+    alchemyService = new AlchemyService({ dbManager, rateLimiter })
     interpolationEngine = new InterpolationEngine(dbManager, alchemyService)
+    priceCache = new PriceCache(redisClient)
+    await priceCache.start()
+    priceStream = new PriceStream(redisClient)
+    await priceStream.start()
+    if (config.monitoring.analytics.enabled) {
+      cacheStats = new CacheStatsRecorder(dbManager)
+      cacheStats.start()
+    }
+    // Lookups are only counted when something uses the counts
+    const popularity = config.performance.cacheWarmingEnabled ? new PopularityTracker(redisClient) : null
+    priceResolver = new PriceResolver({
+      priceCache,
+      dbManager,
+      alchemyService,
+      interpolationEngine,
+      priceQueue,
+      priceStream,
+      cacheStats,
+      popularity,
+    })
+
+    jobTracker = new JobTracker(dbManager)
+    deadLetterQueue = new DeadLetterQueue(dbManager, { batch: batchQueue, price: priceQueue })
+    apiKeyManager = new ApiKeyManager(dbManager, redisClient)
+    apiKeyAuth = createApiKeyAuth(apiKeyManager)
+    userManager = new UserManager(dbManager)
+    userAuth = createUserAuth(userManager)
 
     // Initialize database collections and indexes
     await dbManager.initialize()
+    await apiKeyManager.seedConfiguredKeys()
+    await userManager.seedConfiguredAdmin()
 
     // Start queue workers
     startQueueWorkers()
@@ -344,16 +376,62 @@ async function startServer() {
       config.dataLifecycle,
       config.performance,
       batchQueue, // Pass the batchQueue instance
+      {
+        priceCache,
+        cacheWarmer: popularity && new CacheWarmer({ redisClient, popularity, priceCache, priceResolver }),
+      },
     )
     // Start scheduled tasks
     dataLifecycleManager.start()
 
-    app.listen(PORT, () => {
-      console.log(`Enhanced server running on port ${PORT}`)
-      console.log(`Health check: http://localhost:${PORT}${config.monitoring.healthCheck.path}`)
+    // Prometheus metrics, on their own port unless it is the API port
+    if (config.monitoring.enabled) {
+      registerQueueMetrics({ price: priceQueue, batch: batchQueue })
+      registerDependencyMetrics({
+        redis: () => redisClient.ping(),
+        mongodb: () => db.command({ ping: 1 }),
+      })
+      if (config.monitoring.port === PORT) {
+        app.get(config.monitoring.path, sendMetrics)
+      } else {
+        startMetricsServer()
+      }
+    }
+
+    // Versioned read API and live price stream
+    app.get("/api/v1/stream", requireScope("read"), (req, res) => priceStream.handleSse(req, res))
+    app.use("/api/v1", createPriceRouter({ dbManager, priceResolver }))
+    app.use("/api/v1", createJobRouter({ queues: { batch: batchQueue, price: priceQueue }, jobTracker, dbManager }))
+    app.use("/api/v1", createAccountRouter({ apiKeyManager }))
+    app.use("/api/v1", createStatsRouter({ dbManager, cacheStats, priceCache }))
+    app.use("/api/v1", createAuthRouter({ userManager }))
+    app.use("/api/v1/admin", createAdminRouter({ deadLetterQueue, apiKeyManager, userManager, priceCache }))
+
+    const server = app.listen(PORT, () => {
+      logger.info("Enhanced server running", { port: PORT, healthCheck: config.monitoring.healthCheck.path })
     })
+
+    if (config.stream.websocketEnabled) {
+      priceStream.attachWebSocketServer(server, {
+        // Upgrades bypass Express, so the stream authenticates them itself
+        verifyClient: ({ req }, done) => {
+          if (!config.security.auth.enabled) return done(true)
+          authenticateRequest(apiKeyManager, req)
+            .then(({ status, message, apiKey }) => {
+              if (status === 200 && !ApiKeyManager.hasScope(apiKey, "read")) {
+                return done(false, 403, 'This API key lacks the "read" scope')
+              }
+              done(status === 200, status, message)
+            })
+            .catch((error) => {
+              logger.error("WebSocket authentication error", { error })
+              done(false, 500)
+            })
+        },
+      })
+    }
   } catch (error) {
-    console.error("Failed to start server:", error)
+    logger.error("Failed to start server", { error })
     process.exit(1)
   }
 }
@@ -361,59 +439,35 @@ async function startServer() {
 // Queue Workers
 function startQueueWorkers() {
   // Price processing worker
-  new Worker(
+  const priceWorker = new Worker(
     config.queue.names.priceProcessing,
-    async (job) => {
-      const { token, network, timestamp } = job.data
-      console.log(`Processing missing price job: ${token} on ${network}`)
+    tracedProcessor("price", async (job) => {
+      const { token, network, timestamp, blockNumber = null } = job.data
+      logger.info("Processing missing price job", { token, network, timestamp, blockNumber })
 
       try {
-        // Try to fetch from Alchemy with retries
-        const price = await alchemyService.getTokenPriceWithRetry(token, network, timestamp)
+        // Validation failures are unrecoverable; timestamp was already resolved from blockNumber when queued
+        const request = { ...(await priceResolver.normalize({ token, network, timestamp })), blockNumber }
 
+        // Try the price providers with retries
+        const price = await priceResolver.fetchFromProviders(request, { retry: true })
         if (price) {
-          // Store in both Redis and MongoDB
-          const cacheKey = generateCacheKey(token, network, timestamp)
-          await Promise.all([
-            redisClient.setEx(cacheKey, config.cache.ttl.currentPrice, JSON.stringify(price)),
-            dbManager.storeTokenPrice(price),
-          ])
-
-          // If this is the first time we've seen this token, add it to the tokens collection
-          const existingToken = await dbManager
-            .getAllTokens()
-            .then((tokens) => tokens.find((t) => t.token === token.toLowerCase() && t.network === network))
-          if (!existingToken) {
-            const creationDate = await alchemyService.getTokenCreationDate(token, network)
-            if (creationDate) {
-              await dbManager.addToken(token, network, creationDate)
-              console.log(`Added new token ${token} with creation date ${creationDate} from worker`)
-            } else {
-              console.warn(`Could not determine creation date for new token ${token} from worker`)
-            }
-          }
-
           return { success: true, price }
         }
 
         // If still no price, try interpolation
-        const interpolatedPrice = await interpolationEngine.interpolatePrice(token, network, timestamp)
+        const interpolatedPrice = await priceResolver.interpolate(request)
         if (interpolatedPrice) {
-          const cacheKey = generateCacheKey(token, network, timestamp)
-          await Promise.all([
-            redisClient.setEx(cacheKey, config.cache.ttl.interpolatedPrice, JSON.stringify(interpolatedPrice)),
-            dbManager.storeTokenPrice({ ...interpolatedPrice, interpolated: true }),
-          ])
-
           return { success: true, price: interpolatedPrice, interpolated: true }
         }
 
-        return { success: false, reason: "No price data available" }
+        const unpriceable = await priceResolver.recordUnpriceable(request)
+        return { success: false, reason: unpriceable?.reason || "No price data available" }
       } catch (error) {
-        console.error("Price processing job failed:", error)
-        throw error
+        logger.error("Price processing job failed", { token, network, error })
+        throw toJobError(error)
       }
-    },
+    }),
     {
       connection: {
         host: config.queue.redis.host,
@@ -431,21 +485,28 @@ function startQueueWorkers() {
   )
 
   // Batch processing worker
-  new Worker(
+  const batchWorker = new Worker(
     config.queue.names.batchProcessing,
-    async (job) => {
-      const { token, network, requestId, startDate, endDate } = job.data // Now expects single token/network and date range
-      console.log(`Processing batch job: ${requestId} for token ${token} on ${network} from ${startDate} to ${endDate}`)
+    tracedProcessor("batch", async (job) => {
+      const { token, network, startDate, endDate } = job.data // Now expects single token/network and date range
+      logger.info("Processing batch job", { token, network, startDate, endDate })
 
       try {
-        const results = await dataLifecycleManager.processBatchHistorical(token, network, startDate, endDate)
-        console.log(`Batch job ${requestId} completed: ${results.processed} prices processed`)
+        await priceResolver.normalize({ token, network })
+        if ([startDate, endDate].some((date) => !date || Number.isNaN(new Date(date).getTime()))) {
+          throw new PriceRequestError("startDate and endDate must be ISO 8601 dates")
+        }
+
+        const results = await dataLifecycleManager.processBatchHistorical(token, network, startDate, endDate, (progress) =>
+          job.updateProgress(progress),
+        )
+        logger.info("Batch job completed", { token, network, ...results })
         return results
       } catch (error) {
-        console.error(`Batch job ${requestId} failed:`, error)
-        throw error
+        logger.error("Batch job failed", { token, network, error })
+        throw toJobError(error)
       }
-    },
+    }),
     {
       connection: {
         host: config.queue.redis.host,
@@ -462,12 +523,20 @@ function startQueueWorkers() {
     },
   )
 
-  console.log("Queue workers started")
+  jobTracker.attach(priceWorker, "price")
+  jobTracker.attach(batchWorker, "batch")
+  deadLetterQueue.attach(priceWorker, "price")
+  deadLetterQueue.attach(batchWorker, "batch")
+
+  logger.info("Queue workers started")
 }
 
 // Graceful shutdown
 process.on("SIGINT", async () => {
-  console.log("Shutting down gracefully...")
+  logger.info("Shutting down gracefully")
+  await priceStream?.stop()
+  await cacheStats?.stop() // Write counts still waiting for their batch
+  await priceCache?.stop()
   await Promise.all([
     redisClient.quit(),
     mongoClient.close(),
@@ -0,0 +1,76 @@
+import { UnrecoverableError } from "bullmq"
+import { ProviderError } from "./price-provider.js"
+import { PriceRequestError } from "./price-resolver.js"
+
+const TRANSIENT_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "TIMEOUT",
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+]
+const INVALID_INPUT_PATTERN = /invalid (token )?address|bad address|not a valid address|invalid argument/i
+const RATE_LIMIT_PATTERN = /rate limit|too many requests/i
+
+// Most to least worth retrying; an aggregate failure takes the most retryable category among its causes
+const CATEGORY_PRIORITY = ["rate_limited", "transient", "unknown", "invalid_input"]
+
+// Sorts an error into invalid_input (never retried), rate_limited, transient or unknown (all retried)
+export function classifyError(error) {
+  if (error?.causes?.length) {
+    const categories = error.causes.map((cause) => classifyError(cause).category)
+    const category = CATEGORY_PRIORITY.find((candidate) => categories.includes(candidate))
+    return { category, retryable: category !== "invalid_input" }
+  }
+
+  if (error?.category) {
+    return { category: error.category, retryable: error.category !== "invalid_input" }
+  }
+
+  const status = error?.status ?? (typeof error?.code === "number" ? error.code : null)
+  const message = error?.message || ""
+
+  if (error instanceof PriceRequestError || error?.code === "INVALID_ARGUMENT" || INVALID_INPUT_PATTERN.test(message)) {
+    return { category: "invalid_input", retryable: false }
+  }
+
+  if (status === 429 || RATE_LIMIT_PATTERN.test(message)) {
+    return { category: "rate_limited", retryable: true }
+  }
+
+  if (error instanceof ProviderError && status >= 400 && status < 500) {
+    return { category: "invalid_input", retryable: false }
+  }
+
+  if (
+    error instanceof ProviderError ||
+    status >= 500 ||
+    TRANSIENT_CODES.includes(error?.code) ||
+    error?.name === "AbortError" ||
+    error?.name === "MongoNetworkError"
+  ) {
+    return { category: "transient", retryable: true }
+  }
+
+  return { category: "unknown", retryable: true }
+}
+
+// What a queue worker should throw for `error`: errors that would fail the same way again become
+// UnrecoverableError so BullMQ stops retrying them. Either way the category is kept on `error.category`.
+export function toJobError(error) {
+  const { category, retryable } = classifyError(error)
+
+  if (retryable) {
+    error.category = category
+    return error
+  }
+
+  const unrecoverable = new UnrecoverableError(error.message)
+  unrecoverable.category = category
+  unrecoverable.stack = error.stack
+  unrecoverable.cause = error
+  return unrecoverable
+}
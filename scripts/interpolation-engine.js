@@ -1,4 +1,6 @@
 import { config } from "./config.js"
+import { interpolationConfidence, interpolations } from "./metrics.js"
+import { logger } from "./logger.js"
 
 export class InterpolationEngine {
   constructor(dbManager, alchemyService) {
@@ -8,7 +10,7 @@ export class InterpolationEngine {
 
   async interpolatePrice(token, network, timestamp) {
     try {
-      console.log(`Attempting to interpolate price for ${token} on ${network} at ${timestamp}`)
+      logger.debug("Attempting interpolation", { token, network, timestamp })
 
       // Get nearest available prices
       const nearestPrices = await this.dbManager.getNearestPrices(
@@ -19,7 +21,8 @@ export class InterpolationEngine {
       )
 
       if (nearestPrices.length < 2) {
-        console.log("Insufficient data points for interpolation")
+        logger.info("Insufficient data points for interpolation", { token, network, timestamp, points: nearestPrices.length })
+        interpolations.inc({ method: "none", outcome: "insufficient_data" })
         return null
       }
 
@@ -33,7 +36,13 @@ export class InterpolationEngine {
       })
 
       if (filteredPrices.length < 2) {
-        console.log(`Insufficient data points within ${config.interpolation.maxTimeGapHours} hours for interpolation`)
+        logger.info("Insufficient data points within the interpolation time gap", {
+          token,
+          network,
+          timestamp,
+          maxTimeGapHours: config.interpolation.maxTimeGapHours,
+        })
+        interpolations.inc({ method: "none", outcome: "insufficient_data" })
         return null
       }
 
@@ -61,22 +70,35 @@ export class InterpolationEngine {
       }
 
       if (!interpolatedPriceData || interpolatedPriceData.usd <= 0) {
-        console.log("Interpolation resulted in invalid price.")
+        logger.info("Interpolation resulted in an invalid price", { token, network, timestamp, method: interpolationMethod })
+        interpolations.inc({ method: interpolationMethod, outcome: "invalid_price" })
         return null
       }
 
       const confidence = this.calculateConfidence(dataPointsUsed, targetDate, interpolationMethod)
+      interpolationConfidence.observe({ method: interpolationMethod }, confidence)
 
       if (confidence < config.interpolation.minConfidenceThreshold) {
-        console.log(
-          `Interpolated price confidence (${confidence.toFixed(2)}) below threshold (${config.interpolation.minConfidenceThreshold}). Skipping.`,
-        )
+        logger.info("Interpolated price confidence below threshold, skipping", {
+          token,
+          network,
+          timestamp,
+          confidence,
+          threshold: config.interpolation.minConfidenceThreshold,
+        })
+        interpolations.inc({ method: interpolationMethod, outcome: "low_confidence" })
         return null
       }
 
-      console.log(
-        `Successfully interpolated price: $${interpolatedPriceData.usd.toFixed(4)} with confidence ${confidence.toFixed(2)}`,
-      )
+      interpolations.inc({ method: interpolationMethod, outcome: "success" })
+      logger.info("Interpolated price", {
+        token,
+        network,
+        timestamp,
+        usd: interpolatedPriceData.usd,
+        method: interpolationMethod,
+        confidence,
+      })
 
       return {
         token,
@@ -92,7 +114,8 @@ export class InterpolationEngine {
         confidence: confidence,
       }
     } catch (error) {
-      console.error("Interpolation error:", error)
+      logger.error("Interpolation failed", { token, network, timestamp, error })
+      interpolations.inc({ method: "none", outcome: "error" })
       return null
     }
   }
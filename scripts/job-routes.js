@@ -0,0 +1,146 @@
+import express from "express"
+import { config } from "./config.js"
+import { JobTracker } from "./job-tracker.js"
+import { parsePagination, paginationMeta } from "./pagination.js"
+import { requireScope } from "./api-auth.js"
+import { logger } from "./logger.js"
+
+const JOB_STATES = ["waiting", "prioritized", "active", "delayed", "completed", "failed", "paused"]
+const CANCELLABLE_STATES = ["waiting", "prioritized", "delayed", "paused"]
+
+// Job status API mounted under /api/v1. `queues` maps the public queue name ("batch", "price") to its
+// BullMQ Queue; every endpoint takes ?queue= and defaults to the batch queue.
+export function createJobRouter({ queues, jobTracker, dbManager }) {
+  const router = express.Router()
+
+  const resolveQueue = (req, res) => {
+    const queueKey = req.query.queue || "batch"
+    if (!queues[queueKey]) {
+      res.status(400).json({ success: false, message: `queue must be one of: ${Object.keys(queues).join(", ")}` })
+      return null
+    }
+    return queueKey
+  }
+
+  const notFound = (res, queueKey, id) =>
+    res.status(404).json({ success: false, message: `Job ${id} not found in the ${queueKey} queue` })
+
+  const fail = (res, message, error) => {
+    logger.error(message, { error })
+    return res.status(500).json({
+      success: false,
+      message,
+      error: config.app.isDevelopment ? error.message : undefined,
+    })
+  }
+
+  router.get("/jobs", requireScope("read"), async (req, res) => {
+    try {
+      const queueKey = resolveQueue(req, res)
+      if (!queueKey) return
+
+      const states = req.query.state ? String(req.query.state).split(",") : JOB_STATES
+      const invalid = states.filter((state) => !JOB_STATES.includes(state))
+      if (invalid.length) {
+        return res.status(400).json({ success: false, message: `state must be one of: ${JOB_STATES.join(", ")}` })
+      }
+
+      const queue = queues[queueKey]
+      const pagination = parsePagination(req.query)
+      const end = pagination.skip + pagination.limit
+
+      // BullMQ applies start/end to each state separately, so read the first `end` of every state and
+      // page through the merged, newest-first list
+      const [jobs, total] = await Promise.all([
+        queue.getJobs(states, 0, end - 1, false),
+        queue.getJobCountByTypes(...states),
+      ])
+      const listed = jobs
+        .filter(Boolean)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(pagination.skip, end)
+
+      res.set("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        data: await Promise.all(listed.map((job) => JobTracker.describe(queueKey, job))),
+        meta: { queue: queueKey, states, pagination: paginationMeta(pagination, total) },
+      })
+    } catch (error) {
+      return fail(res, "Failed to list jobs", error)
+    }
+  })
+
+  router.get("/jobs/:id", requireScope("read"), async (req, res) => {
+    try {
+      const queueKey = resolveQueue(req, res)
+      if (!queueKey) return
+
+      res.set("Cache-Control", "no-store")
+      const job = await queues[queueKey].getJob(req.params.id)
+      if (job) {
+        return res.json({ success: true, data: await JobTracker.describe(queueKey, job), meta: { source: "queue" } })
+      }
+
+      // BullMQ may already have removed the job from Redis; fall back to the persisted record
+      const record = await dbManager.getBatchJob(queueKey, req.params.id)
+      if (!record) {
+        return notFound(res, queueKey, req.params.id)
+      }
+      return res.json({ success: true, data: { ...record, id: record.jobId }, meta: { source: "database" } })
+    } catch (error) {
+      return fail(res, "Failed to get job", error)
+    }
+  })
+
+  router.post("/jobs/:id/cancel", requireScope("backfill"), async (req, res) => {
+    try {
+      const queueKey = resolveQueue(req, res)
+      if (!queueKey) return
+
+      const job = await queues[queueKey].getJob(req.params.id)
+      if (!job) {
+        return notFound(res, queueKey, req.params.id)
+      }
+
+      const state = await job.getState()
+      if (!CANCELLABLE_STATES.includes(state)) {
+        return res.status(409).json({
+          success: false,
+          message: `Job ${job.id} is ${state}; only ${CANCELLABLE_STATES.join(", ")} jobs can be cancelled`,
+        })
+      }
+
+      await job.remove()
+      await jobTracker.recordState(queueKey, job.id, "cancelled", { finishedAt: new Date() })
+      res.json({ success: true, message: `Job ${job.id} cancelled`, data: { id: job.id, queue: queueKey, state: "cancelled" } })
+    } catch (error) {
+      return fail(res, "Failed to cancel job", error)
+    }
+  })
+
+  router.post("/jobs/:id/retry", requireScope("backfill"), async (req, res) => {
+    try {
+      const queueKey = resolveQueue(req, res)
+      if (!queueKey) return
+
+      const job = await queues[queueKey].getJob(req.params.id)
+      if (!job) {
+        return notFound(res, queueKey, req.params.id)
+      }
+
+      const state = await job.getState()
+      if (state !== "failed") {
+        return res.status(409).json({ success: false, message: `Job ${job.id} is ${state}; only failed jobs can be retried` })
+      }
+
+      await job.retry("failed")
+      await jobTracker.recordState(queueKey, job.id, "waiting", { failedReason: null, finishedAt: null })
+      res.json({ success: true, message: `Job ${job.id} queued for retry`, data: await JobTracker.describe(queueKey, job) })
+    } catch (error) {
+      return fail(res, "Failed to retry job", error)
+    }
+  })
+
+  return router
+}
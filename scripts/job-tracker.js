@@ -0,0 +1,83 @@
+// Mirrors the lifecycle of queued BullMQ jobs into the batch_jobs collection, so a job's outcome can still
+// be looked up after BullMQ has dropped it from Redis
+export class JobTracker {
+  constructor(dbManager) {
+    this.dbManager = dbManager
+    this.lastProgressWrite = new Map() // job key -> ms timestamp of the last persisted progress update
+    this.progressWriteIntervalMs = 1000
+  }
+
+  // Public shape of a job, shared by the jobs API and the persisted record
+  static async describe(queueKey, job) {
+    return {
+      id: job.id,
+      queue: queueKey,
+      name: job.name,
+      state: await job.getState(),
+      progress: job.progress,
+      data: job.data,
+      result: job.returnvalue ?? null,
+      failedReason: job.failedReason || null,
+      attemptsMade: job.attemptsMade,
+      createdAt: job.timestamp ? new Date(job.timestamp).toISOString() : null,
+      processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    }
+  }
+
+  async recordQueued(queueKey, job) {
+    await this.dbManager.upsertBatchJob(queueKey, job.id, {
+      name: job.name,
+      data: job.data,
+      state: "waiting",
+      progress: 0,
+    })
+  }
+
+  async recordState(queueKey, jobId, state, fields = {}) {
+    await this.dbManager.upsertBatchJob(queueKey, jobId, { state, ...fields })
+  }
+
+  // Subscribes to a worker's events; failures to persist are logged by DatabaseManager and never fail the job
+  attach(worker, queueKey) {
+    worker.on("active", (job) => {
+      this.recordState(queueKey, job.id, "active", {
+        name: job.name,
+        data: job.data,
+        attemptsMade: job.attemptsMade,
+        processedAt: new Date(),
+      })
+    })
+
+    worker.on("progress", (job, progress) => {
+      const key = `${queueKey}:${job.id}`
+      const now = Date.now()
+      if (now - (this.lastProgressWrite.get(key) || 0) < this.progressWriteIntervalMs) {
+        return
+      }
+      this.lastProgressWrite.set(key, now)
+      this.recordState(queueKey, job.id, "active", { progress })
+    })
+
+    worker.on("completed", (job, result) => {
+      this.lastProgressWrite.delete(`${queueKey}:${job.id}`)
+      this.recordState(queueKey, job.id, "completed", {
+        progress: job.progress,
+        result,
+        failedReason: null,
+        finishedAt: new Date(),
+      })
+    })
+
+    worker.on("failed", (job, error) => {
+      if (!job) return
+      this.lastProgressWrite.delete(`${queueKey}:${job.id}`)
+      this.recordState(queueKey, job.id, "failed", {
+        progress: job.progress,
+        failedReason: error.message,
+        attemptsMade: job.attemptsMade,
+        finishedAt: new Date(),
+      })
+    })
+  }
+}
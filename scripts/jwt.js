@@ -0,0 +1,64 @@
+import crypto from "node:crypto"
+import { config } from "./config.js"
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "TokenError"
+    this.status = 401
+  }
+}
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 }
+
+// "24h", "30m", "7d" or a plain number of seconds
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`)
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"]
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url")
+const signature = (input, secret) => crypto.createHmac("sha256", secret).update(input).digest("base64url")
+
+// Minimal HS256 JSON Web Tokens, enough for sessions this service issues and verifies itself
+export function signToken(claims, jwtConfig = config.security.jwt) {
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const payload = { ...claims, iss: jwtConfig.issuer, iat: issuedAt, exp: issuedAt + parseDuration(jwtConfig.expiresIn) }
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`
+  return { token: `${input}.${signature(input, jwtConfig.secret)}`, expiresAt: new Date(payload.exp * 1000) }
+}
+
+export function verifyToken(token, jwtConfig = config.security.jwt) {
+  const parts = String(token).split(".")
+  if (parts.length !== 3) {
+    throw new TokenError("Malformed token")
+  }
+
+  const [header, payload, signed] = parts
+  const expected = Buffer.from(signature(`${header}.${payload}`, jwtConfig.secret))
+  const actual = Buffer.from(signed)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError("Invalid token signature")
+  }
+
+  let claims
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString()).alg !== "HS256") {
+      throw new TokenError("Unsupported token algorithm")
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString())
+  } catch (error) {
+    throw error instanceof TokenError ? error : new TokenError("Malformed token")
+  }
+
+  if (claims.iss !== jwtConfig.issuer) {
+    throw new TokenError("Token was issued by another service")
+  }
+  if (!(claims.exp > Date.now() / 1000)) {
+    throw new TokenError("Token has expired")
+  }
+  return claims
+}
@@ -0,0 +1,99 @@
+import crypto from "node:crypto"
+import { config } from "./config.js"
+import { localCacheLookups } from "./metrics.js"
+import { logger } from "./logger.js"
+
+// Bounded in-process LRU in front of Redis for the hottest keys. Entries live for ttlMs at most; writes and
+// deletes on any instance are broadcast over Redis pub/sub so the other instances drop their copy.
+export class LocalCache {
+  constructor(name, { maxEntries, ttlMs }) {
+    this.name = name
+    this.maxEntries = maxEntries
+    this.ttlMs = ttlMs
+    this.entries = new Map() // key -> { value, expiresAt }, least recently used first
+    this.hits = 0
+    this.misses = 0
+    this.instanceId = crypto.randomUUID()
+    this.channel = `${config.app.name}:local-cache:${name}:invalidations`
+    this.publisher = null
+    this.subscriber = null
+  }
+
+  async start(redisClient) {
+    this.publisher = redisClient
+    this.subscriber = redisClient.duplicate()
+    this.subscriber.on("error", (error) => logger.error("Local cache subscriber error", { cache: this.name, error }))
+    await this.subscriber.connect()
+    await this.subscriber.subscribe(this.channel, (message) => this.handleInvalidation(message))
+  }
+
+  async stop() {
+    if (this.subscriber) {
+      await this.subscriber.quit()
+    }
+  }
+
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      this.record("miss")
+      return undefined
+    }
+
+    // Re-inserting moves the key to the most recently used end
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    this.record("hit")
+    return entry.value
+  }
+
+  set(key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs })
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  // Drops the keys here and on every other instance
+  async invalidate(keys) {
+    keys.forEach((key) => this.entries.delete(key))
+    try {
+      await this.publisher?.publish(this.channel, JSON.stringify({ origin: this.instanceId, keys }))
+    } catch (error) {
+      // The other instances' copies still expire after ttlMs
+      logger.warn("Could not publish local cache invalidation", { cache: this.name, error: error.message })
+    }
+  }
+
+  handleInvalidation(message) {
+    try {
+      const { origin, keys } = JSON.parse(message)
+      if (origin !== this.instanceId) {
+        keys.forEach((key) => this.entries.delete(key))
+      }
+    } catch (error) {
+      logger.warn("Ignoring malformed local cache invalidation", { cache: this.name, error: error.message })
+    }
+  }
+
+  record(result) {
+    if (result === "hit") this.hits++
+    else this.misses++
+    localCacheLookups.inc({ cache: this.name, result })
+  }
+
+  // Counts since this process started
+  stats() {
+    const lookups = this.hits + this.misses
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups > 0 ? (this.hits / lookups) * 100 : 0,
+      size: this.entries.size,
+      max_entries: this.maxEntries,
+      ttl_ms: this.ttlMs,
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import { AsyncLocalStorage } from "node:async_hooks"
+import crypto from "node:crypto"
+import path from "node:path"
+import winston from "winston"
+import DailyRotateFile from "winston-daily-rotate-file"
+import { config } from "./config.js"
+
+// Fields (requestId, jobId, ...) attached to every line logged while handling one request or job,
+// across awaits, without threading them through every call
+const logContext = new AsyncLocalStorage()
+
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn)
+}
+
+export function currentRequestId() {
+  return logContext.getStore()?.requestId ?? null
+}
+
+export function newRequestId() {
+  return crypto.randomUUID()
+}
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/
+
+const addContext = winston.format((info) => {
+  const context = logContext.getStore()
+  return context ? Object.assign(info, { ...context, ...info }) : info
+})
+
+// Error objects don't survive JSON.stringify, so fields holding one are flattened first
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = {
+        name: value.name,
+        message: value.message,
+        ...(value.status !== undefined && { status: value.status }),
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.category !== undefined && { category: value.category }),
+        stack: value.stack,
+      }
+    }
+  }
+  return info
+})
+
+const jsonLines = winston.format.combine(winston.format.timestamp(), addContext(), serializeErrors(), winston.format.json())
+
+// LOG_FORMAT=pretty keeps the fields but puts the message first, for reading in a terminal
+const pretty = winston.format.combine(
+  winston.format.timestamp(),
+  addContext(),
+  serializeErrors(),
+  winston.format.printf(({ timestamp, level, message, ...fields }) => {
+    const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ""
+    return `${timestamp} ${level.toUpperCase()} ${message}${rest}`
+  }),
+)
+
+// app.log -> app-2024-01-31.log, rotated daily and at maxSize, keeping maxFiles files
+function rotatingFile(filePath, level) {
+  const { dir, name, ext } = path.parse(filePath)
+  return new DailyRotateFile({
+    level,
+    dirname: dir || ".",
+    filename: `${name}-%DATE%${ext}`,
+    datePattern: config.logging.datePattern,
+    maxSize: config.logging.maxSize,
+    maxFiles: config.logging.maxFiles,
+    format: jsonLines,
+  })
+}
+
+export const logger = winston.createLogger({
+  level: config.app.logLevel,
+  transports: [
+    new winston.transports.Console({ format: config.logging.format === "pretty" ? pretty : jsonLines }),
+    ...(config.logging.fileEnabled
+      ? [rotatingFile(config.logging.filePath), rotatingFile(config.logging.errorFilePath, "error")]
+      : []),
+  ],
+})
+
+// First middleware after the body parser (which would otherwise drop the context): takes the caller's
+// X-Request-Id or creates one, echoes it back and logs the request once it has been answered
+export function requestLogging(req, res, next) {
+  const incoming = req.get("x-request-id")
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : newRequestId()
+  const startedAt = process.hrtime.bigint()
+
+  req.requestId = requestId
+  res.set("X-Request-Id", requestId)
+  res.on("finish", () => {
+    logger.info("HTTP request", {
+      requestId,
+      method: req.method,
+      path: req.path, // Without the query string, which may carry an api_key
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      apiKeyId: req.apiKey?._id,
+      user: req.user?.username,
+    })
+  })
+
+  withLogContext({ requestId }, next)
+}
+
+// Wraps a BullMQ processor so everything logged while a job runs carries the requestId stored in the job
+// data by whoever queued it (a fresh one for jobs queued outside a request), plus the queue and job id
+export function tracedProcessor(queueKey, processor) {
+  return (job) =>
+    withLogContext({ requestId: job.data.requestId || newRequestId(), queue: queueKey, jobId: job.id }, () =>
+      processor(job),
+    )
+}
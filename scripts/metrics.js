@@ -0,0 +1,146 @@
+import express from "express"
+import client from "prom-client"
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// Prometheus registry shared by every module; instruments are created once here and imported where
+// the events happen. Gauges that need I/O (queue depths, dependency health) are read at scrape time.
+export const registry = new client.Registry()
+registry.setDefaultLabels({ app: config.app.name })
+client.collectDefaultMetrics({ register: registry })
+
+export const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route pattern and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+})
+
+export const cacheLookups = new client.Counter({
+  name: "price_cache_lookups_total",
+  help: "Redis price cache lookups by key kind (current, timestamp, block) and result (hit, stale, miss)",
+  labelNames: ["kind", "result"],
+  registers: [registry],
+})
+
+export const localCacheLookups = new client.Counter({
+  name: "local_cache_lookups_total",
+  help: "In-process LRU lookups in front of Redis by cache (price, storage) and result (hit, miss)",
+  labelNames: ["cache", "result"],
+  registers: [registry],
+})
+
+export const priceResolutions = new client.Counter({
+  name: "price_resolutions_total",
+  help: "Resolved price requests by the source that answered (cache, database, provider, interpolation, queue)",
+  labelNames: ["source"],
+  registers: [registry],
+})
+
+export const providerRequestDuration = new client.Histogram({
+  name: "price_provider_request_duration_seconds",
+  help: "Price provider call latency by provider, method and outcome (success, empty, error)",
+  labelNames: ["provider", "method", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+})
+
+export const providerErrors = new client.Counter({
+  name: "price_provider_errors_total",
+  help: "Failed price provider calls by provider, method and error category",
+  labelNames: ["provider", "method", "category"],
+  registers: [registry],
+})
+
+export const interpolations = new client.Counter({
+  name: "price_interpolations_total",
+  help: "Interpolation attempts by method and outcome",
+  labelNames: ["method", "outcome"],
+  registers: [registry],
+})
+
+export const interpolationConfidence = new client.Histogram({
+  name: "price_interpolation_confidence",
+  help: "Confidence of computed interpolations, including ones rejected for low confidence",
+  labelNames: ["method"],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+  registers: [registry],
+})
+
+const QUEUE_STATES = ["waiting", "active", "delayed", "failed", "completed", "prioritized", "paused"]
+
+// BullMQ job counts per queue and state, read from Redis on every scrape
+export function registerQueueMetrics(queues) {
+  new client.Gauge({
+    name: "bullmq_queue_jobs",
+    help: "Jobs per BullMQ queue and state",
+    labelNames: ["queue", "state"],
+    registers: [registry],
+    async collect() {
+      await Promise.all(
+        Object.entries(queues).map(async ([name, queue]) => {
+          try {
+            const counts = await queue.getJobCounts(...QUEUE_STATES)
+            QUEUE_STATES.forEach((state) => this.set({ queue: name, state }, counts[state] || 0))
+          } catch (error) {
+            logger.warn("Could not read queue job counts", { queue: name, error: error.message })
+          }
+        }),
+      )
+    },
+  })
+}
+
+// Pings each dependency on every scrape. `checks` maps a dependency name to an async function that
+// throws when it is unhealthy.
+export function registerDependencyMetrics(checks) {
+  new client.Gauge({
+    name: "dependency_up",
+    help: "Whether a dependency answered its health check (1) or not (0)",
+    labelNames: ["dependency"],
+    registers: [registry],
+    async collect() {
+      await Promise.all(
+        Object.entries(checks).map(async ([dependency, check]) => {
+          try {
+            await check()
+            this.set({ dependency }, 1)
+          } catch {
+            this.set({ dependency }, 0)
+          }
+        }),
+      )
+    },
+  })
+}
+
+// Times every request by its route pattern (e.g. /api/v1/prices/:network/:token), so label
+// cardinality stays bounded; requests no route matched are grouped as "unmatched"
+export function httpMetricsMiddleware(req, res, next) {
+  const end = httpRequestDuration.startTimer({ method: req.method })
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched"
+    end({ route, status: res.statusCode })
+  })
+  next()
+}
+
+export async function sendMetrics(req, res) {
+  try {
+    res.set("Content-Type", registry.contentType)
+    res.end(await registry.metrics())
+  } catch (error) {
+    logger.error("Failed to collect metrics", { error })
+    res.status(500).end()
+  }
+}
+
+// Serves config.monitoring.path on its own port, so scrapes bypass API keys and request limits
+export function startMetricsServer() {
+  const metricsApp = express()
+  metricsApp.get(config.monitoring.path, sendMetrics)
+  return metricsApp.listen(config.monitoring.port, () => {
+    logger.info("Metrics server listening", { port: config.monitoring.port, path: config.monitoring.path })
+  })
+}
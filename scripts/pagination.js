@@ -0,0 +1,13 @@
+import { config } from "./config.js"
+
+// page/limit query parameters shared by the list endpoints, clamped to config.api.maxPageSize
+export function parsePagination(query) {
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1)
+  const requestedLimit = Number.parseInt(query.limit, 10) || config.api.defaultPageSize
+  const limit = Math.min(config.api.maxPageSize, Math.max(1, requestedLimit))
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+export function paginationMeta({ page, limit }, total) {
+  return { page, limit, total, totalPages: Math.ceil(total / limit) }
+}
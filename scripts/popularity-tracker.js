@@ -0,0 +1,51 @@
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// Counts price lookups per (network, token) over a sliding window. Each bucketMs slice of time is one Redis
+// sorted set that expires once it has left the window; the window's counts are the union of its slices.
+export class PopularityTracker {
+  constructor(redisClient, warmingConfig = config.cache.warming) {
+    this.redisClient = redisClient
+    this.windowMs = warmingConfig.windowMs
+    this.bucketMs = warmingConfig.bucketMs
+  }
+
+  bucketKey(bucket) {
+    return `${config.app.name}:popularity:${bucket}`
+  }
+
+  currentBucket() {
+    return Math.floor(Date.now() / this.bucketMs)
+  }
+
+  // Not awaited by callers: a lost count only makes warming a little less accurate
+  record(network, token) {
+    const key = this.bucketKey(this.currentBucket())
+    return this.redisClient
+      .multi()
+      .zIncrBy(key, 1, `${network}:${token}`)
+      .pExpire(key, this.windowMs + this.bucketMs)
+      .exec()
+      .catch((error) => logger.warn("Could not record token popularity", { network, token, error: error.message }))
+  }
+
+  // Resolves to the n most looked-up [{ network, token, lookups }] in the window, most popular first
+  async top(n) {
+    const newest = this.currentBucket()
+    const buckets = Math.ceil(this.windowMs / this.bucketMs)
+    const keys = Array.from({ length: buckets }, (_, age) => this.bucketKey(newest - age))
+    const destination = `${config.app.name}:popularity:window:${newest}:${Math.random().toString(36).slice(2)}`
+
+    const [, entries] = await this.redisClient
+      .multi()
+      .zUnionStore(destination, keys)
+      .zRangeWithScores(destination, 0, n - 1, { REV: true })
+      .del(destination)
+      .exec()
+
+    return entries.map(({ value, score }) => {
+      const [network, token] = value.split(":")
+      return { network, token, lookups: score }
+    })
+  }
+}
@@ -0,0 +1,85 @@
+import { logger } from "./logger.js"
+
+export class PriceAggregator {
+  constructor(aggregationConfig, providerOrder = []) {
+    this.config = aggregationConfig
+    this.providerOrder = providerOrder
+  }
+
+  // Position in providers.order; sources missing from it rank last
+  priority(source) {
+    const index = this.providerOrder.indexOf(source)
+    return index === -1 ? this.providerOrder.length : index
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  }
+
+  trimmedMean(values) {
+    const sorted = [...values].sort((a, b) => a - b)
+    const trim = Math.floor(sorted.length * (this.config.trimPercent / 100))
+    const kept = sorted.length - trim * 2 > 0 ? sorted.slice(trim, sorted.length - trim) : sorted
+    return kept.reduce((sum, value) => sum + value, 0) / kept.length
+  }
+
+  // Combines provider quotes ({ source, usd, lastUpdated }) into one price. Quotes straying more than
+  // maxDeviationPercent from the median of all quotes are kept for auditing but excluded from the result.
+  // Two quotes that disagree both stray from their midpoint, so the higher-priority provider's is kept.
+  aggregate(quotes) {
+    const valid = quotes.filter((quote) => Number.isFinite(quote.usd) && quote.usd > 0)
+    if (valid.length === 0) {
+      return null
+    }
+
+    const consensus = this.median(valid.map((quote) => quote.usd))
+    const annotated = valid.map((quote) => {
+      const deviationPercent = (Math.abs(quote.usd - consensus) / consensus) * 100
+      return {
+        source: quote.source,
+        usd: quote.usd,
+        lastUpdated: quote.lastUpdated,
+        deviationPercent: Number.parseFloat(deviationPercent.toFixed(4)),
+        accepted: valid.length === 1 || deviationPercent <= this.config.maxDeviationPercent,
+      }
+    })
+
+    const disagreement = valid.length === 2 && annotated.every((quote) => !quote.accepted)
+    if (disagreement) {
+      const [preferred] = [...annotated].sort((a, b) => this.priority(a.source) - this.priority(b.source))
+      preferred.accepted = true
+      logger.warn("Two price quotes disagree, keeping the higher-priority provider", {
+        quotes: annotated.map(({ source, usd }) => ({ source, usd })),
+        kept: preferred.source,
+      })
+    }
+
+    const accepted = annotated.filter((quote) => quote.accepted)
+    if (accepted.length < this.config.minSources) {
+      logger.warn("Too few agreeing price quotes", { agreed: accepted.length, quotes: valid.length, minSources: this.config.minSources })
+      return null
+    }
+
+    const values = accepted.map((quote) => quote.usd)
+    const usd = this.config.method === "trimmed_mean" ? this.trimmedMean(values) : this.median(values)
+
+    return {
+      usd,
+      lastUpdated: accepted
+        .map((quote) => quote.lastUpdated)
+        .sort()
+        .pop(),
+      source: accepted.length === 1 ? accepted[0].source : "aggregate",
+      quotes: annotated,
+      aggregation: {
+        method: disagreement ? "priority" : accepted.length === 1 ? "single" : this.config.method,
+        consensus,
+        sourcesAnswered: valid.length,
+        sourcesAccepted: accepted.length,
+        rejected: annotated.filter((quote) => !quote.accepted).map((quote) => quote.source),
+      },
+    }
+  }
+}
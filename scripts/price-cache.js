@@ -0,0 +1,209 @@
+import { config } from "./config.js"
+import { cacheLookups } from "./metrics.js"
+import { LocalCache } from "./local-cache.js"
+
+// Helper function to generate cache key
+export function generateCacheKey(token, network, timestamp = null, blockNumber = null) {
+  const key = `${config.app.name}:price:${network}:${token.toLowerCase()}`
+  if (blockNumber !== null && blockNumber !== undefined) {
+    return `${key}:block:${blockNumber}`
+  }
+  return timestamp ? `${key}:${timestamp}` : `${key}:current`
+}
+
+// Why a token could not be priced, recorded in the negative cache (see PriceCache.setUnpriceable)
+export const UNPRICEABLE_REASONS = {
+  not_erc20: "There is no ERC-20 contract at this address",
+  no_metadata: "The token has no ERC-20 metadata",
+  no_liquidity: "No price source has a market for this token",
+}
+
+// Index keys are removed in chunks of this many per Redis transaction
+const INDEX_CHUNK_SIZE = 500
+
+// current, block or timestamp, for metrics labels
+function cacheKeyKind(key) {
+  if (key.endsWith(":current")) return "current"
+  return key.includes(":block:") ? "block" : "timestamp"
+}
+
+// Thin JSON layer over the Redis price keys shared by the API handlers and the queue workers. Values are
+// stored as { data, cachedAt, freshUntil }. With config.cache.staleWhileRevalidate enabled, current-price
+// keys outlive their TTL by staleTtl seconds, during which get() returns them marked stale.
+//
+// Every key written is also indexed, so invalidate() can find keys without a KEYS scan: a set per token
+// and per network, a sorted set by price timestamp and a sorted set by expiry, which pruneIndex() uses to
+// drop index entries for keys Redis has expired.
+//
+// With config.cache.local enabled, price lookups check an in-process LRU (see local-cache.js) first.
+export class PriceCache {
+  constructor(redisClient, swrConfig = config.cache.staleWhileRevalidate, localConfig = config.cache.local) {
+    this.redisClient = redisClient
+    this.swrConfig = swrConfig
+    this.localCache = localConfig.enabled ? new LocalCache("price", localConfig) : null
+  }
+
+  async start() {
+    await this.localCache?.start(this.redisClient)
+  }
+
+  async stop() {
+    await this.localCache?.stop()
+  }
+
+  keyFor(request) {
+    return generateCacheKey(request.token, request.network, request.timestamp, request.blockNumber)
+  }
+
+  indexKey(...parts) {
+    return [config.app.name, "price-index", ...parts].join(":")
+  }
+
+  // The network and token a price or negative-cache key belongs to
+  keyTags(key) {
+    const [network, token] = key.slice(config.app.name.length + 1).split(":").slice(1)
+    return { network, token }
+  }
+
+  // Queues the index updates for a key on a MULTI; timestamp is only given for price keys
+  addToIndex(multi, key, { timestamp = null, expiresAt }) {
+    const { network, token } = this.keyTags(key)
+    multi
+      .sAdd(this.indexKey("token", token), key)
+      .sAdd(this.indexKey("network", network), key)
+      .zAdd(this.indexKey("expiry"), { score: expiresAt, value: key })
+    if (timestamp !== null) {
+      multi.zAdd(this.indexKey("time"), { score: timestamp, value: key })
+    }
+    return multi
+  }
+
+  async removeFromIndex(keys, { deleteKeys = false } = {}) {
+    let deleted = 0
+    for (let start = 0; start < keys.length; start += INDEX_CHUNK_SIZE) {
+      const chunk = keys.slice(start, start + INDEX_CHUNK_SIZE)
+      const multi = this.redisClient.multi()
+      if (deleteKeys) {
+        multi.del(chunk)
+      }
+      for (const key of chunk) {
+        const { network, token } = this.keyTags(key)
+        multi
+          .sRem(this.indexKey("token", token), key)
+          .sRem(this.indexKey("network", network), key)
+          .zRem(this.indexKey("time"), key)
+          .zRem(this.indexKey("expiry"), key)
+      }
+      const replies = await multi.exec()
+      if (deleteKeys) {
+        deleted += replies[0]
+        await this.localCache?.invalidate(chunk)
+      }
+    }
+    return deleted
+  }
+
+  // Deletes every cached price and negative entry matching all of the given filters ({ token, network,
+  // from, to }, at least one of them); from/to select prices by their timestamp, current prices by when
+  // they were fetched. Resolves to the number of keys deleted.
+  async invalidate({ token = null, network = null, from = null, to = null }) {
+    const sets = []
+    if (token) sets.push(this.indexKey("token", token.toLowerCase()))
+    if (network) sets.push(this.indexKey("network", network))
+
+    let keys = sets.length > 0 ? await this.redisClient.sInter(sets) : null
+    if (from || to) {
+      const inRange = await this.redisClient.zRangeByScore(
+        this.indexKey("time"),
+        from ? from.getTime() : "-inf",
+        to ? to.getTime() : "+inf",
+      )
+      const matched = keys && new Set(keys)
+      keys = matched ? inRange.filter((key) => matched.has(key)) : inRange
+    }
+
+    return this.removeFromIndex(keys || [], { deleteKeys: true })
+  }
+
+  // Drops index entries for keys Redis has already expired; resolves to how many there were
+  async pruneIndex() {
+    const expired = await this.redisClient.zRangeByScore(this.indexKey("expiry"), "-inf", Date.now())
+    await this.removeFromIndex(expired)
+    return expired.length
+  }
+
+  // Resolves to { data, cachedAt, stale }, or null on a miss. price_cache_lookups_total only counts the
+  // lookups that reached Redis; the in-process tier has its own counter.
+  async get(key) {
+    let entry = this.localCache?.get(key)
+    if (!entry) {
+      const cached = await this.redisClient.get(key)
+      if (!cached) {
+        cacheLookups.inc({ kind: cacheKeyKind(key), result: "miss" })
+        return null
+      }
+
+      entry = JSON.parse(cached)
+      cacheLookups.inc({ kind: cacheKeyKind(key), result: Date.now() > entry.freshUntil ? "stale" : "hit" })
+      this.localCache?.set(key, entry)
+    }
+
+    return { data: entry.data, cachedAt: entry.cachedAt, stale: Date.now() > entry.freshUntil }
+  }
+
+  // Milliseconds until a cached price goes stale (negative once it has), or -Infinity when it isn't cached.
+  // Reads Redis directly, so checks like cache warming don't count as lookups.
+  async freshForMs(key) {
+    const cached = await this.redisClient.get(key)
+    return cached ? JSON.parse(cached).freshUntil - Date.now() : -Infinity
+  }
+
+  async set(key, data, ttl) {
+    const now = Date.now()
+    const staleTtl = this.swrConfig.enabled && cacheKeyKind(key) === "current" ? this.swrConfig.staleTtl : 0
+    const entry = { data, cachedAt: new Date(now).toISOString(), freshUntil: now + ttl * 1000 }
+    const multi = this.redisClient.multi().setEx(key, ttl + staleTtl, JSON.stringify(entry))
+    const timestamp = Date.parse(data.timestamp) || now
+    await this.addToIndex(multi, key, { timestamp, expiresAt: now + (ttl + staleTtl) * 1000 }).exec()
+
+    if (this.localCache) {
+      await this.localCache.invalidate([key])
+      this.localCache.set(key, entry)
+    }
+  }
+
+  unpriceableKey(token, network) {
+    return `${config.app.name}:unpriceable:${network}:${token.toLowerCase()}`
+  }
+
+  // Resolves to { reason, message, recordedAt, expiresAt } when the token was recently found unpriceable,
+  // or null. no_liquidity only says the token has no market now, so it doesn't apply to historical prices.
+  async getUnpriceable(request) {
+    const cached = await this.redisClient.get(this.unpriceableKey(request.token, request.network))
+    if (!cached) {
+      return null
+    }
+
+    const entry = JSON.parse(cached)
+    return entry.reason === "no_liquidity" && request.timestamp ? null : entry
+  }
+
+  async setUnpriceable(request, reason, ttl = config.cache.ttl.unpriceable) {
+    const now = Date.now()
+    const entry = {
+      reason,
+      message: UNPRICEABLE_REASONS[reason],
+      recordedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+    }
+    const key = this.unpriceableKey(request.token, request.network)
+    const multi = this.redisClient.multi().setEx(key, ttl, JSON.stringify(entry))
+    await this.addToIndex(multi, key, { expiresAt: now + ttl * 1000 }).exec()
+    return entry
+  }
+
+  // Resolves to whether there was an entry to clear
+  async clearUnpriceable(token, network) {
+    return (await this.removeFromIndex([this.unpriceableKey(token, network)], { deleteKeys: true })) > 0
+  }
+}
@@ -0,0 +1,105 @@
+import { config } from "./config.js"
+
+export class ProviderError extends Error {
+  constructor(message, status = null, retryAfterMs = null) {
+    super(message)
+    this.name = "ProviderError"
+    this.status = status
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// Raised when every provider asked for a lookup threw, as opposed to answering that it has no data.
+// `causes` keeps the individual failures so callers can tell rate limiting from bad input.
+export class ProvidersFailedError extends ProviderError {
+  constructor(method, network, causes) {
+    super(`Price providers failed on ${method} for ${network}: ${causes.map((cause) => cause.message).join("; ")}`)
+    this.name = "ProvidersFailedError"
+    this.causes = causes
+  }
+}
+
+// Base class for every price source. Adapters override the lookups their backend supports;
+// anything left unimplemented resolves to null so the next provider in the chain is tried.
+export class PriceProvider {
+  constructor(name, providerConfig = {}) {
+    this.name = name
+    this.config = providerConfig
+    this.onChain = false // On-chain providers read contract state at a block and need one for historical lookups
+    this.rateLimiter = null // Set by createPriceProviders when a shared RateLimiter is configured
+    this.rateLimitKey = name // Budget in config.providers.rateLimits that this provider's requests draw from
+  }
+
+  supportsNetwork(network) {
+    return true
+  }
+
+  // Resolves to { usd, lastUpdated } or null
+  async getCurrentPrice(token, network) {
+    return null
+  }
+
+  // Resolves to { usd, lastUpdated } or null. `options.blockNumber` is the block covering `timestamp`, when known.
+  async getHistoricalPrice(token, network, timestamp, options = {}) {
+    return null
+  }
+
+  // Resolves to { symbol, name, decimals, totalSupply, logo } or null
+  async getTokenMetadata(token, network) {
+    return null
+  }
+
+  // Resolves to an ISO date string or null
+  async getTokenCreationDate(token, network) {
+    return null
+  }
+
+  // Runs one upstream request within this provider's rate-limit budget
+  async limited(network, request) {
+    return this.rateLimiter ? this.rateLimiter.run(this.rateLimitKey, network, request) : request()
+  }
+
+  // `options.network` selects the per-network rate-limit bucket
+  async fetchJson(url, options = {}) {
+    const { network = null, ...fetchOptions } = options
+
+    return this.limited(network, async () => {
+      const controller = new AbortController()
+      const timeout = setTimeout(() => controller.abort(), this.config.timeout || config.providers.timeout)
+
+      try {
+        const response = await fetch(url, {
+          ...fetchOptions,
+          headers: { Accept: "application/json", ...fetchOptions.headers },
+          signal: controller.signal,
+        })
+
+        if (!response.ok) {
+          throw new ProviderError(
+            `${this.name} request failed with status ${response.status}`,
+            response.status,
+            parseRetryAfter(response.headers.get("retry-after")),
+          )
+        }
+
+        return await response.json()
+      } catch (error) {
+        if (error.name === "AbortError") {
+          throw new ProviderError(`${this.name} request timed out`)
+        }
+        throw error
+      } finally {
+        clearTimeout(timeout)
+      }
+    })
+  }
+}
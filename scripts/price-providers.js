@@ -0,0 +1,209 @@
+import { PriceProvider } from "./price-provider.js"
+import { DexPriceProvider } from "./dex-price-provider.js"
+import { ChainlinkProvider } from "./chainlink-provider.js"
+import { logger } from "./logger.js"
+
+// Alchemy has no USD price feed in its core API, so it only serves token metadata and creation dates
+export class AlchemyProvider extends PriceProvider {
+  constructor(alchemyService, providerConfig = {}) {
+    super("alchemy", providerConfig)
+    this.alchemyService = alchemyService
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.alchemyService.networkMapping[network.toLowerCase()])
+  }
+
+  async getTokenMetadata(token, network) {
+    const alchemy = this.alchemyService.getAlchemyInstance(network)
+    const metadata = await this.limited(network, () => alchemy.core.getTokenMetadata(token))
+    if (!metadata || !metadata.symbol) {
+      return null
+    }
+
+    return {
+      symbol: metadata.symbol,
+      name: metadata.name,
+      decimals: metadata.decimals,
+      totalSupply: metadata.totalSupply,
+      logo: metadata.logo,
+    }
+  }
+
+  async getTokenCreationDate(token, network) {
+    const alchemy = this.alchemyService.getAlchemyInstance(network)
+
+    // Query for the first asset transfer to approximate creation date
+    const transfers = await this.limited(network, () =>
+      alchemy.core.getAssetTransfers({
+        contractAddresses: [token],
+        category: ["erc20"],
+        order: "asc", // Get the earliest transfer
+        maxCount: 1, // Only need the first one
+      }),
+    )
+
+    if (transfers.transfers && transfers.transfers.length > 0) {
+      // Alchemy's getAssetTransfers returns blockNum. We need to get the block to find its timestamp.
+      const firstTransfer = transfers.transfers[0]
+      const block = await this.limited(network, () => alchemy.core.getBlock(firstTransfer.blockNum))
+      if (block && block.timestamp) {
+        return new Date(block.timestamp * 1000).toISOString() // Convert Unix timestamp to ISO string
+      }
+    }
+
+    return null
+  }
+}
+
+export class CoinGeckoProvider extends PriceProvider {
+  constructor(providerConfig = {}) {
+    super("coingecko", providerConfig)
+
+    // CoinGecko asset platform ids
+    this.platformMapping = {
+      ethereum: "ethereum",
+      polygon: "polygon-pos",
+      bsc: "binance-smart-chain",
+      avalanche: "avalanche",
+      arbitrum: "arbitrum-one",
+      optimism: "optimistic-ethereum",
+    }
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.platformMapping[network.toLowerCase()])
+  }
+
+  get headers() {
+    return this.config.apiKey ? { [this.config.apiKeyHeader]: this.config.apiKey } : {}
+  }
+
+  async getCurrentPrice(token, network) {
+    const platform = this.platformMapping[network.toLowerCase()]
+    const address = token.toLowerCase()
+    const url = `${this.config.baseUrl}/simple/token_price/${platform}?contract_addresses=${address}&vs_currencies=usd&include_last_updated_at=true`
+
+    const data = await this.fetchJson(url, { headers: this.headers, network })
+    const quote = data[address]
+    if (!quote || typeof quote.usd !== "number") {
+      return null
+    }
+
+    return {
+      usd: quote.usd,
+      lastUpdated: quote.last_updated_at ? new Date(quote.last_updated_at * 1000).toISOString() : new Date().toISOString(),
+    }
+  }
+
+  async getHistoricalPrice(token, network, timestamp) {
+    const platform = this.platformMapping[network.toLowerCase()]
+    const target = Math.floor(new Date(timestamp).getTime() / 1000)
+    const window = this.config.historicalWindowHours * 60 * 60
+    const url = `${this.config.baseUrl}/coins/${platform}/contract/${token.toLowerCase()}/market_chart/range?vs_currency=usd&from=${target - window}&to=${target + window}`
+
+    const data = await this.fetchJson(url, { headers: this.headers, network })
+    if (!data.prices || data.prices.length === 0) {
+      return null
+    }
+
+    // Pick the sample closest to the requested timestamp
+    const [sampledAt, usd] = data.prices.reduce((closest, point) =>
+      Math.abs(point[0] - target * 1000) < Math.abs(closest[0] - target * 1000) ? point : closest,
+    )
+
+    return {
+      usd,
+      lastUpdated: new Date(sampledAt).toISOString(),
+    }
+  }
+}
+
+export class DefiLlamaProvider extends PriceProvider {
+  constructor(providerConfig = {}) {
+    super("defillama", providerConfig)
+
+    // DefiLlama chain prefixes used in coin ids (`chain:address`)
+    this.chainMapping = {
+      ethereum: "ethereum",
+      polygon: "polygon",
+      bsc: "bsc",
+      avalanche: "avax",
+      arbitrum: "arbitrum",
+      optimism: "optimism",
+    }
+  }
+
+  supportsNetwork(network) {
+    return Boolean(this.chainMapping[network.toLowerCase()])
+  }
+
+  coinId(token, network) {
+    return `${this.chainMapping[network.toLowerCase()]}:${token.toLowerCase()}`
+  }
+
+  async getCurrentPrice(token, network) {
+    const coinId = this.coinId(token, network)
+    const data = await this.fetchJson(`${this.config.baseUrl}/prices/current/${coinId}`, { network })
+    return this.parseCoin(data, coinId)
+  }
+
+  async getHistoricalPrice(token, network, timestamp) {
+    const coinId = this.coinId(token, network)
+    const target = Math.floor(new Date(timestamp).getTime() / 1000)
+    const data = await this.fetchJson(
+      `${this.config.baseUrl}/prices/historical/${target}/${coinId}?searchWidth=${this.config.searchWidth}`,
+      { network },
+    )
+    return this.parseCoin(data, coinId)
+  }
+
+  parseCoin(data, coinId) {
+    const coin = data.coins?.[coinId]
+    if (!coin || typeof coin.price !== "number") {
+      return null
+    }
+
+    return {
+      usd: coin.price,
+      lastUpdated: new Date(coin.timestamp * 1000).toISOString(),
+    }
+  }
+}
+
+// Builds the enabled providers in the order configured in `config.providers.order`
+export function createPriceProviders(alchemyService, providersConfig) {
+  const factories = {
+    alchemy: (providerConfig) => new AlchemyProvider(alchemyService, providerConfig),
+    coingecko: (providerConfig) => new CoinGeckoProvider(providerConfig),
+    defillama: (providerConfig) => new DefiLlamaProvider(providerConfig),
+    chainlink: (providerConfig) => new ChainlinkProvider(alchemyService, providerConfig),
+    dex: (providerConfig) => new DexPriceProvider(alchemyService, providerConfig),
+  }
+
+  const providers = providersConfig.order
+    .map((name) => name.toLowerCase())
+    .filter((name) => {
+      if (!factories[name]) {
+        logger.warn("Unknown price provider in configuration, skipping", { provider: name })
+        return false
+      }
+      return providersConfig[name]?.enabled !== false
+    })
+    .map((name) => factories[name]({ timeout: providersConfig.timeout, ...providersConfig[name] }))
+
+  // Every provider shares the service's Redis-backed limiter, so budgets hold across workers
+  providers.forEach((provider) => {
+    provider.rateLimiter = alchemyService.rateLimiter || null
+  })
+
+  // DEX-derived prices are anchored to Chainlink's ETH/USDC feeds when that provider is enabled
+  const chainlink = providers.find((provider) => provider.name === "chainlink")
+  providers
+    .filter((provider) => provider.name === "dex")
+    .forEach((provider) => {
+      provider.anchorProvider = chainlink || null
+    })
+
+  return providers
+}
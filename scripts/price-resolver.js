@@ -0,0 +1,446 @@
+import { config } from "./config.js"
+import { priceResolutions } from "./metrics.js"
+import { ProvidersFailedError } from "./price-provider.js"
+import { currentRequestId, logger } from "./logger.js"
+
+const TOKEN_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/
+
+export class PriceRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "PriceRequestError"
+    this.status = status
+  }
+}
+
+// Seconds since the served price was quoted by its provider (or computed, for interpolations)
+function priceAgeSeconds(data) {
+  const quotedAt = Date.parse(data?.price?.lastUpdated ?? data?.fetchedAt)
+  return Number.isNaN(quotedAt) ? null : Math.max(0, Math.round((Date.now() - quotedAt) / 1000))
+}
+
+// Runs a price lookup through cache -> MongoDB -> price providers -> interpolation, and queues it for
+// background processing when every step comes up empty. Tokens nothing can price are remembered for a
+// while in a negative cache instead. Shared by the legacy and v1 API routes.
+export class PriceResolver {
+  constructor({
+    priceCache,
+    dbManager,
+    alchemyService,
+    interpolationEngine,
+    priceQueue,
+    priceStream = null,
+    cacheStats = null,
+    popularity = null,
+  }) {
+    this.priceCache = priceCache
+    this.dbManager = dbManager
+    this.alchemyService = alchemyService
+    this.interpolationEngine = interpolationEngine
+    this.priceQueue = priceQueue
+    this.priceStream = priceStream
+    this.cacheStats = cacheStats
+    this.popularity = popularity
+    this.inFlight = new Map()
+  }
+
+  // Validates raw input ({ token, network, timestamp, blockNumber }) and resolves a block number to its
+  // timestamp. Throws PriceRequestError for anything the caller got wrong.
+  async normalize(input) {
+    const { token, network } = input
+    let { timestamp = null } = input
+    const blockNumber = input.blockNumber === undefined || input.blockNumber === null ? null : Number(input.blockNumber)
+
+    if (!token || !network) {
+      throw new PriceRequestError("Token address and network are required")
+    }
+
+    if (!TOKEN_ADDRESS_REGEX.test(token)) {
+      throw new PriceRequestError("Invalid token address format")
+    }
+
+    if (!config.networks.supported.includes(network.toLowerCase())) {
+      throw new PriceRequestError(
+        `Unsupported network: ${network}. Supported networks are: ${config.networks.supported.join(", ")}`,
+      )
+    }
+
+    if (timestamp && Number.isNaN(new Date(timestamp).getTime())) {
+      throw new PriceRequestError("timestamp must be an ISO 8601 date")
+    }
+
+    if (blockNumber !== null) {
+      if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+        throw new PriceRequestError("blockNumber must be a non-negative integer")
+      }
+
+      if (timestamp) {
+        throw new PriceRequestError("Provide either timestamp or blockNumber, not both")
+      }
+
+      // Prices at a block are looked up and stored under that block's timestamp
+      timestamp = await this.alchemyService.blockResolver.getBlockTimestamp(network.toLowerCase(), blockNumber)
+      if (!timestamp) {
+        throw new PriceRequestError(`Block ${blockNumber} not found on ${network}`)
+      }
+    }
+
+    return { token: token.toLowerCase(), network: network.toLowerCase(), timestamp, blockNumber }
+  }
+
+  blockOptions(request) {
+    return request.blockNumber !== null && request.blockNumber !== undefined ? { blockNumber: request.blockNumber } : {}
+  }
+
+  // Resolves to { source, data, stale, ageSeconds } where source is
+  // cache | database | provider | interpolation | unpriceable | queue.
+  // Concurrent requests for the same cache key share one lookup.
+  async resolve(request) {
+    this.popularity?.record(request.network, request.token)
+    const { source, data, stale = false } = await this.singleFlight(this.priceCache.keyFor(request), () =>
+      this.lookup(request),
+    )
+    priceResolutions.inc({ source })
+    this.cacheStats?.record(request.network, source)
+    return { source, data, stale, ageSeconds: source === "queue" ? null : priceAgeSeconds(data) }
+  }
+
+  // Runs fn once for every caller that asks with the same key while it is in flight (within this process)
+  singleFlight(key, fn) {
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(
+        key,
+        Promise.resolve()
+          .then(fn)
+          .finally(() => this.inFlight.delete(key)),
+      )
+    }
+    return this.inFlight.get(key)
+  }
+
+  // Fetches a fresh price from the providers into the cache and MongoDB; concurrent refreshes of one key
+  // (stale hits, cache warming) share a single lookup
+  refresh(request) {
+    return this.singleFlight(`${this.priceCache.keyFor(request)}:refresh`, () => this.fetchFromProviders(request))
+  }
+
+  // Refreshes a stale cache entry without holding up the request that found it. The stale entry keeps being
+  // served until the new price replaces it.
+  revalidate(request) {
+    this.refresh(request).catch((error) => {
+      logger.warn("Background price refresh failed", { token: request.token, network: request.network, error })
+    })
+  }
+
+  async lookup(request) {
+    const { token, network } = request
+    const cacheKey = this.priceCache.keyFor(request)
+    logger.debug("Resolving price", { token, network, timestamp: request.timestamp, blockNumber: request.blockNumber })
+
+    // Step 1: Check Redis cache
+    const cached = await this.priceCache.get(cacheKey)
+    if (cached) {
+      logger.debug("Price cache hit", { cacheKey, stale: cached.stale })
+      if (cached.stale) {
+        this.revalidate(request)
+      }
+      return { source: "cache", data: cached.data, stale: cached.stale }
+    }
+
+    logger.debug("Price cache miss, checking MongoDB", { cacheKey })
+
+    // Step 2: Check MongoDB for historical data
+    const dbPrice = await this.dbManager.getTokenPrice(token, network, request.timestamp, this.blockOptions(request))
+    if (dbPrice) {
+      logger.debug("Price found in MongoDB", { token, network })
+      // Cache in Redis for future requests
+      await this.priceCache.set(cacheKey, dbPrice, config.cache.ttl.currentPrice)
+      return { source: "database", data: dbPrice }
+    }
+
+    const unpriceable = await this.priceCache.getUnpriceable(request)
+    if (unpriceable) {
+      logger.debug("Token recently found unpriceable", { token, network, reason: unpriceable.reason })
+      return { source: "unpriceable", data: unpriceable }
+    }
+
+    logger.debug("Price not in MongoDB, querying price providers", { token, network })
+
+    // Step 3: Query the configured price providers. When they fail rather than answer, the token can't be
+    // judged unpriceable, so it is queued instead
+    let providerPrice = null
+    let providersFailed = false
+    try {
+      providerPrice = await this.fetchFromProviders(request, { throwOnProviderFailure: true })
+    } catch (error) {
+      if (!(error instanceof ProvidersFailedError)) throw error
+      providersFailed = true
+    }
+    if (providerPrice) {
+      return { source: "provider", data: providerPrice }
+    }
+
+    logger.debug("Price providers had no price, interpolating", { token, network })
+
+    // Step 4: Use Interpolation Engine
+    const interpolatedPrice = await this.interpolate(request)
+    if (interpolatedPrice) {
+      return { source: "interpolation", data: interpolatedPrice }
+    }
+
+    // Step 5: Remember tokens nothing can price, rather than queueing yet another job for each request
+    const negativeEntry = providersFailed ? null : await this.recordUnpriceable(request)
+    if (negativeEntry) {
+      return { source: "unpriceable", data: negativeEntry }
+    }
+
+    // Step 6: Add to queue for background processing
+    const job = await this.enqueue(request)
+    return { source: "queue", data: { jobId: job.id } }
+  }
+
+  // `throwOnProviderFailure` rethrows ProvidersFailedError instead of resolving to null (see
+  // AlchemyService.getTokenPrice)
+  async fetchFromProviders(request, { retry = false, throwOnProviderFailure = false } = {}) {
+    const { token, network, timestamp } = request
+    const price = retry
+      ? await this.alchemyService.getTokenPriceWithRetry(token, network, timestamp, this.blockOptions(request))
+      : await this.alchemyService.getTokenPrice(token, network, timestamp, {
+          ...this.blockOptions(request),
+          throwOnProviderFailure,
+        })
+
+    if (!price) {
+      return null
+    }
+
+    await this.storeProviderPrice(request, price)
+    await this.registerToken(token, network)
+    return price
+  }
+
+  async storeProviderPrice(request, price) {
+    logger.info("Price fetched from provider", { token: request.token, network: request.network, source: price.source })
+
+    // Store in both Redis and MongoDB; a token that can be priced again loses its negative entry
+    await Promise.all([
+      this.priceCache.set(this.priceCache.keyFor(request), price, config.cache.ttl.currentPrice),
+      this.dbManager.storeTokenPrice(price),
+      this.priceCache.clearUnpriceable(request.token, request.network),
+    ])
+
+    // Notify live subscribers on every instance
+    if (this.priceStream) {
+      await this.priceStream.publish(price)
+    }
+  }
+
+  // Resolves many raw inputs in one pass. Identical requests are looked up once, and everything that misses
+  // the cache and MongoDB goes to the providers together through AlchemyService.batchGetTokenPrices.
+  // Returns { items, unique } with one item per input, in input order, and status
+  // resolved | unpriceable | queued | invalid | failed.
+  async resolveMany(inputs) {
+    const results = new Array(inputs.length)
+    const unique = new Map()
+
+    await Promise.all(
+      inputs.map(async (input, index) => {
+        try {
+          const request = await this.normalize(input || {})
+          const key = this.priceCache.keyFor(request)
+          if (!unique.has(key)) {
+            unique.set(key, { request, indexes: [] })
+          }
+          unique.get(key).indexes.push(index)
+        } catch (error) {
+          results[index] = { status: error instanceof PriceRequestError ? "invalid" : "failed", message: error.message }
+        }
+      }),
+    )
+
+    const entries = [...unique.values()]
+    const misses = []
+
+    // Step 1 and 2: Redis cache, then MongoDB
+    await Promise.all(
+      entries.map(async (entry) => {
+        const cacheKey = this.priceCache.keyFor(entry.request)
+        const cached = await this.priceCache.get(cacheKey)
+        if (cached) {
+          if (cached.stale) {
+            this.revalidate(entry.request)
+          }
+          entry.outcome = { status: "resolved", source: "cache", data: cached.data, stale: cached.stale }
+          return
+        }
+
+        const dbPrice = await this.dbManager.getTokenPrice(
+          entry.request.token,
+          entry.request.network,
+          entry.request.timestamp,
+          this.blockOptions(entry.request),
+        )
+        if (dbPrice) {
+          await this.priceCache.set(cacheKey, dbPrice, config.cache.ttl.currentPrice)
+          entry.outcome = { status: "resolved", source: "database", data: dbPrice }
+          return
+        }
+
+        const unpriceable = await this.priceCache.getUnpriceable(entry.request)
+        if (unpriceable) {
+          entry.outcome = { status: "unpriceable", source: "unpriceable", ...unpriceable }
+          return
+        }
+
+        misses.push(entry)
+      }),
+    )
+
+    logger.info("Resolved price batch", { items: inputs.length, unique: entries.length, providerLookups: misses.length })
+
+    // Step 3: Query the providers for every miss in one batch
+    const providerPrices = misses.length
+      ? await this.alchemyService.batchGetTokenPrices(
+          misses.map((entry) => entry.request),
+          { keepProviderFailures: true },
+        )
+      : []
+    const newTokens = new Map()
+
+    // Step 4 and 5: Store provider prices, interpolate or queue the rest
+    await Promise.all(
+      misses.map(async (entry, position) => {
+        try {
+          // Failed providers said nothing about the token, so it is queued rather than judged unpriceable
+          const providersFailed = providerPrices[position] instanceof ProvidersFailedError
+          const price = providersFailed ? null : providerPrices[position]
+          if (price) {
+            await this.storeProviderPrice(entry.request, price)
+            newTokens.set(`${entry.request.token}:${entry.request.network}`, entry.request)
+            entry.outcome = { status: "resolved", source: "provider", data: price }
+            return
+          }
+
+          const interpolatedPrice = await this.interpolate(entry.request)
+          if (interpolatedPrice) {
+            entry.outcome = { status: "resolved", source: "interpolation", data: interpolatedPrice }
+            return
+          }
+
+          const negativeEntry = providersFailed ? null : await this.recordUnpriceable(entry.request)
+          if (negativeEntry) {
+            entry.outcome = { status: "unpriceable", source: "unpriceable", ...negativeEntry }
+            return
+          }
+
+          const job = await this.enqueue(entry.request)
+          entry.outcome = { status: "queued", source: "queue", jobId: job.id }
+        } catch (error) {
+          logger.error("Batch price item failed", { token: entry.request.token, network: entry.request.network, error })
+          entry.outcome = { status: "failed", message: error.message }
+        }
+      }),
+    )
+
+    for (const { token, network } of newTokens.values()) {
+      await this.registerToken(token, network)
+    }
+
+    for (const entry of entries) {
+      this.popularity?.record(entry.request.network, entry.request.token)
+      if (entry.outcome.source) {
+        priceResolutions.inc({ source: entry.outcome.source })
+        this.cacheStats?.record(entry.request.network, entry.outcome.source)
+      }
+      if (entry.outcome.status === "resolved") {
+        entry.outcome = { stale: false, ageSeconds: priceAgeSeconds(entry.outcome.data), ...entry.outcome }
+      }
+      const { token, network, timestamp, blockNumber } = entry.request
+      for (const index of entry.indexes) {
+        results[index] = { token, network, timestamp, blockNumber, ...entry.outcome }
+      }
+    }
+
+    return { items: results.map((result, index) => ({ index, ...result })), unique: entries.length }
+  }
+
+  // Records why nothing could price the request in the negative cache and resolves to the entry, or to
+  // null when it may still be priced later: a historical price for a token that has a market, or
+  // providers that failed rather than answered
+  async recordUnpriceable(request) {
+    const { token, network } = request
+    try {
+      const reason = await this.alchemyService.classifyUnpriceable(token, network)
+      if (reason === "no_liquidity" && request.timestamp) {
+        return null
+      }
+
+      logger.info("Token is unpriceable, caching the answer", { token, network, reason })
+      return await this.priceCache.setUnpriceable(request, reason)
+    } catch (error) {
+      logger.warn("Could not tell why a token is unpriceable", { token, network, error: error.message })
+      return null
+    }
+  }
+
+  async interpolate(request) {
+    const interpolatedPrice = await this.interpolationEngine.interpolatePrice(
+      request.token,
+      request.network,
+      request.timestamp,
+    )
+
+    if (!interpolatedPrice) {
+      return null
+    }
+
+    // Store interpolated price in both Redis and MongoDB
+    await Promise.all([
+      this.priceCache.set(this.priceCache.keyFor(request), interpolatedPrice, config.cache.ttl.interpolatedPrice),
+      this.dbManager.storeTokenPrice({ ...interpolatedPrice, ...this.blockOptions(request), interpolated: true }),
+    ])
+
+    if (this.priceStream) {
+      await this.priceStream.publish(interpolatedPrice)
+    }
+
+    return interpolatedPrice
+  }
+
+  async enqueue(request) {
+    return this.priceQueue.add(
+      "fetch-missing-price",
+      {
+        token: request.token,
+        network: request.network,
+        timestamp: request.timestamp,
+        blockNumber: request.blockNumber,
+        priority: request.timestamp ? 1 : 10, // Current prices have higher priority
+        requestId: currentRequestId(), // Lets the worker's log lines be traced back to the request
+      },
+      {
+        attempts: config.queue.settings.defaultJobAttempts,
+        backoff: {
+          type: config.queue.settings.defaultJobBackoff,
+          delay: config.queue.settings.defaultJobDelay,
+        },
+      },
+    )
+  }
+
+  // If this is the first time we've seen this token, add it to the tokens collection
+  async registerToken(token, network) {
+    const existingToken = await this.dbManager.getToken(token, network)
+    if (existingToken) {
+      return
+    }
+
+    const creationDate = await this.alchemyService.getTokenCreationDate(token, network)
+    if (creationDate) {
+      await this.dbManager.addToken(token, network, creationDate)
+      logger.info("Tracking new token", { token, network, creationDate })
+    } else {
+      logger.warn("Could not determine creation date for new token", { token, network })
+    }
+  }
+}
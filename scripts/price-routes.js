@@ -0,0 +1,287 @@
+import express from "express"
+import { config } from "./config.js"
+import { CANDLE_INTERVALS } from "./candles.js"
+import { parsePagination, paginationMeta } from "./pagination.js"
+import { PriceRequestError } from "./price-resolver.js"
+import { requireScope } from "./api-auth.js"
+import { logger } from "./logger.js"
+
+// Drops storage internals from a MongoDB document before it is served
+function toResource(document) {
+  if (!document) return document
+  const { _id, storedAt, ...resource } = document
+  return resource
+}
+
+function parseDate(value, name, fallback) {
+  if (value === undefined) return fallback
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new PriceRequestError(`${name} must be an ISO 8601 date`)
+  }
+  return date
+}
+
+// Express derives an ETag from every GET body and answers a matching If-None-Match with 304 on its own,
+// so handlers only decide how long a response may be cached. What a caller gets depends on their API key
+// and session, so only the caller's own cache may keep it.
+function sendCacheable(res, body, maxAge) {
+  res.set("Cache-Control", maxAge > 0 ? `private, max-age=${maxAge}` : "no-store")
+  res.vary(config.security.apiKeyHeader)
+  res.vary("Authorization")
+  return res.json(body)
+}
+
+function sendError(res, error, message) {
+  if (error instanceof PriceRequestError) {
+    return res.status(error.status).json({ success: false, message: error.message })
+  }
+
+  logger.error(message, { error })
+  return res.status(500).json({
+    success: false,
+    message,
+    error: config.app.isDevelopment ? error.message : undefined,
+  })
+}
+
+function parseInterval(value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new PriceRequestError(`interval must be one of: ${allowed.join(", ")}`)
+  }
+  return value
+}
+
+// Resolves the from/to query window, defaulting to the week before `to` (or now)
+function parseRange(query) {
+  const to = parseDate(query.to, "to", new Date())
+  const from = parseDate(query.from, "from", new Date(to.getTime() - CANDLE_INTERVALS["1w"]))
+  if (from > to) {
+    throw new PriceRequestError("from must be before to")
+  }
+  return { from, to }
+}
+
+// GET-based read API mounted under /api/v1. Every response uses the { success, data, meta } envelope.
+export function createPriceRouter({ dbManager, priceResolver }) {
+  const router = express.Router()
+
+  router.get("/prices/:network/:token", requireScope("read"), async (req, res) => {
+    try {
+      const request = await priceResolver.normalize({
+        token: req.params.token,
+        network: req.params.network,
+        timestamp: req.query.timestamp,
+        blockNumber: req.query.blockNumber,
+      })
+      const { source, data, stale, ageSeconds } = await priceResolver.resolve(request)
+
+      if (source === "queue") {
+        res.set("Cache-Control", "no-store")
+        return res.status(202).json({
+          success: false,
+          message: "Price not available, added to processing queue",
+          data: null,
+          meta: { source, queued: true, jobId: data.jobId },
+        })
+      }
+
+      if (source === "unpriceable") {
+        res.set("Cache-Control", "no-store")
+        return res.status(404).json({
+          success: false,
+          message: `Token cannot be priced: ${data.message}`,
+          data: null,
+          meta: { source, reason: data.reason, recordedAt: data.recordedAt, expiresAt: data.expiresAt },
+        })
+      }
+
+      const maxAge = request.timestamp ? config.cache.ttl.historicalPrice : config.cache.ttl.currentPrice
+      // A stale price is being refreshed, so clients shouldn't hold on to it
+      return sendCacheable(
+        res,
+        { success: true, data: toResource(data), meta: { source, stale, ageSeconds } },
+        stale ? 0 : maxAge,
+      )
+    } catch (error) {
+      return sendError(res, error, "Failed to get price")
+    }
+  })
+
+  // Body: { items: [{ token, network, timestamp?, blockNumber? }, ...] }
+  router.post("/prices/batch", requireScope("read"), async (req, res) => {
+    try {
+      const items = req.body?.items
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new PriceRequestError("items must be a non-empty array")
+      }
+      if (items.length > config.api.maxBatchItems) {
+        throw new PriceRequestError(`A batch may contain at most ${config.api.maxBatchItems} items`)
+      }
+
+      const { items: results, unique } = await priceResolver.resolveMany(items)
+      const count = (status) => results.filter((result) => result.status === status).length
+
+      res.set("Cache-Control", "no-store")
+      return res.json({
+        success: true,
+        data: results.map((result) => ({ ...result, data: toResource(result.data) })),
+        meta: {
+          requested: items.length,
+          unique,
+          resolved: count("resolved"),
+          unpriceable: count("unpriceable"),
+          queued: count("queued"),
+          invalid: count("invalid"),
+          failed: count("failed"),
+        },
+      })
+    } catch (error) {
+      return sendError(res, error, "Failed to resolve price batch")
+    }
+  })
+
+  router.get("/prices/:network/:token/history", requireScope("read"), async (req, res) => {
+    try {
+      const { token, network } = await priceResolver.normalize({ token: req.params.token, network: req.params.network })
+      const { from, to } = parseRange(req.query)
+      const interval = parseInterval(req.query.interval || "raw", ["raw", ...Object.keys(CANDLE_INTERVALS)])
+
+      const pagination = parsePagination(req.query)
+      const [start, end] = [from.toISOString(), to.toISOString()]
+
+      // Paged (and for bucketed intervals, reduced) in MongoDB, so a long range is never loaded at once
+      let points
+      let total
+      if (interval === "raw") {
+        const history = await dbManager.getPriceHistory(token, network, start, end, pagination)
+        total = history.total
+        points = history.prices.map((price) => ({
+          timestamp: price.timestamp,
+          usd: price.price.usd,
+          source: price.source,
+          interpolated: Boolean(price.interpolated),
+        }))
+      } else {
+        const history = await dbManager.getBucketedPriceHistory(token, network, interval, start, end, pagination)
+        total = history.total
+        points = history.points
+      }
+
+      return sendCacheable(
+        res,
+        {
+          success: true,
+          data: points,
+          meta: {
+            token,
+            network,
+            from: start,
+            to: end,
+            interval,
+            pagination: paginationMeta(pagination, total),
+          },
+        },
+        config.cache.ttl.historicalPrice,
+      )
+    } catch (error) {
+      return sendError(res, error, "Failed to get price history")
+    }
+  })
+
+  // OHLC candles rolled up as prices are stored (see DatabaseManager.updateCandles)
+  router.get("/candles/:network/:token", requireScope("read"), async (req, res) => {
+    try {
+      const { token, network } = await priceResolver.normalize({ token: req.params.token, network: req.params.network })
+      const { from, to } = parseRange(req.query)
+      const interval = parseInterval(req.query.interval || "1h", Object.keys(CANDLE_INTERVALS))
+      const pagination = parsePagination(req.query)
+
+      const { candles, total } = await dbManager.getCandles(token, network, interval, from, to, pagination)
+
+      return sendCacheable(
+        res,
+        {
+          success: true,
+          data: candles.map((candle) => ({
+            time: candle.bucketStart,
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            average: candle.average,
+            samples: candle.count,
+          })),
+          meta: {
+            token,
+            network,
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            pagination: paginationMeta(pagination, total),
+          },
+        },
+        // The newest candle is still open, so the response can only be cached for part of an interval
+        Math.min(config.cache.ttl.currentPrice, CANDLE_INTERVALS[interval] / 1000),
+      )
+    } catch (error) {
+      return sendError(res, error, "Failed to get price candles")
+    }
+  })
+
+  router.get("/tokens", requireScope("read"), async (req, res) => {
+    try {
+      const filter = {}
+      if (req.query.network) {
+        const network = req.query.network.toLowerCase()
+        if (!config.networks.supported.includes(network)) {
+          throw new PriceRequestError(`Unsupported network: ${req.query.network}`)
+        }
+        filter.network = network
+      }
+
+      const pagination = parsePagination(req.query)
+      const [tokens, total] = await Promise.all([
+        dbManager.getAllTokens(filter, { skip: pagination.skip, limit: pagination.limit }),
+        dbManager.countTokens(filter),
+      ])
+
+      return sendCacheable(
+        res,
+        { success: true, data: tokens.map(toResource), meta: { pagination: paginationMeta(pagination, total) } },
+        config.cache.ttl.currentPrice,
+      )
+    } catch (error) {
+      return sendError(res, error, "Failed to list tokens")
+    }
+  })
+
+  router.get("/tokens/:network/:token", requireScope("read"), async (req, res) => {
+    try {
+      const { token, network } = await priceResolver.normalize({ token: req.params.token, network: req.params.network })
+      const [tokenDocument, metadata, latestPrice] = await Promise.all([
+        dbManager.getToken(token, network),
+        dbManager.getTokenMetadata(token, network),
+        dbManager.getTokenPrice(token, network),
+      ])
+
+      if (!tokenDocument) {
+        return res.status(404).json({ success: false, message: `Token ${token} is not tracked on ${network}` })
+      }
+
+      return sendCacheable(
+        res,
+        {
+          success: true,
+          data: { ...toResource(tokenDocument), metadata: toResource(metadata), latestPrice: toResource(latestPrice) },
+          meta: {},
+        },
+        config.cache.ttl.currentPrice,
+      )
+    } catch (error) {
+      return sendError(res, error, "Failed to get token")
+    }
+  })
+
+  return router
+}
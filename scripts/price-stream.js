@@ -0,0 +1,219 @@
+import { WebSocketServer } from "ws"
+import { config } from "./config.js"
+import { PriceRequestError } from "./price-resolver.js"
+import { logger } from "./logger.js"
+
+const TOKEN_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/
+
+function subscriptionKey(network, token) {
+  return `${network.toLowerCase()}:${token.toLowerCase()}`
+}
+
+// Parses "network:token" pairs (comma separated in a query string, or an array from a WebSocket message)
+export function parseSubscriptions(value) {
+  const pairs = Array.isArray(value) ? value : String(value || "").split(",")
+  const keys = pairs.map((pair) => pair.trim()).filter(Boolean)
+
+  if (keys.length === 0) {
+    throw new PriceRequestError("Subscribe with tokens=<network>:<token>[,<network>:<token>...]")
+  }
+  if (keys.length > config.stream.maxSubscriptions) {
+    throw new PriceRequestError(`At most ${config.stream.maxSubscriptions} tokens can be subscribed per connection`)
+  }
+
+  return keys.map((pair) => {
+    const [network, token] = pair.split(":")
+    if (!network || !config.networks.supported.includes(network.toLowerCase())) {
+      throw new PriceRequestError(`Unsupported network in subscription: ${pair}`)
+    }
+    if (!TOKEN_ADDRESS_REGEX.test(token || "")) {
+      throw new PriceRequestError(`Invalid token address in subscription: ${pair}`)
+    }
+    return subscriptionKey(network, token)
+  })
+}
+
+// Live price fan-out. Every instance publishes the prices it stores to a Redis channel and relays messages
+// from that channel to its own SSE and WebSocket subscribers, so a client sees updates no matter which
+// instance fetched the price.
+export class PriceStream {
+  constructor(redisClient) {
+    this.redisClient = redisClient
+    this.subscriber = null
+    this.channel = `${config.app.name}:price-updates`
+    this.listeners = new Map() // subscription key -> Set of listener callbacks
+    this.webSocketServer = null
+    this.connections = { sse: 0, websocket: 0 }
+  }
+
+  async start() {
+    this.subscriber = this.redisClient.duplicate()
+    this.subscriber.on("error", (error) => logger.error("Price stream subscriber error", { error }))
+    await this.subscriber.connect()
+    await this.subscriber.subscribe(this.channel, (message) => this.dispatch(message))
+    logger.info("Price stream listening", { channel: this.channel })
+  }
+
+  async stop() {
+    if (this.webSocketServer) {
+      this.webSocketServer.clients.forEach((socket) => socket.terminate())
+      this.webSocketServer.close()
+    }
+    if (this.subscriber) {
+      await this.subscriber.quit()
+    }
+  }
+
+  async publish(price) {
+    try {
+      await this.redisClient.publish(
+        this.channel,
+        JSON.stringify({
+          token: price.token.toLowerCase(),
+          network: price.network,
+          timestamp: price.timestamp,
+          blockNumber: price.blockNumber ?? null,
+          price: price.price,
+          source: price.source || (price.interpolated ? "interpolation" : "unknown"),
+          interpolated: Boolean(price.interpolated),
+        }),
+      )
+    } catch (error) {
+      // Streaming is best effort; a failed publish must never fail the store that triggered it
+      logger.error("Error publishing price update", { error })
+    }
+  }
+
+  dispatch(message) {
+    let update
+    try {
+      update = JSON.parse(message)
+    } catch (error) {
+      logger.warn("Ignoring malformed price update", { payload: message })
+      return
+    }
+
+    const listeners = this.listeners.get(subscriptionKey(update.network, update.token))
+    if (listeners) {
+      listeners.forEach((listener) => listener(update))
+    }
+  }
+
+  // Registers `listener` for the given subscription keys and returns a function that removes it
+  subscribe(keys, listener) {
+    for (const key of keys) {
+      if (!this.listeners.has(key)) {
+        this.listeners.set(key, new Set())
+      }
+      this.listeners.get(key).add(listener)
+    }
+
+    return () => {
+      for (const key of keys) {
+        const listeners = this.listeners.get(key)
+        if (!listeners) continue
+        listeners.delete(listener)
+        if (listeners.size === 0) {
+          this.listeners.delete(key)
+        }
+      }
+    }
+  }
+
+  // GET handler for Server-Sent Events: /stream?tokens=ethereum:0x...,polygon:0x...
+  handleSse(req, res) {
+    let keys
+    try {
+      keys = parseSubscriptions(req.query.tokens)
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, message: error.message })
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Keep reverse proxies from buffering the stream
+    })
+    res.write(`retry: ${config.stream.retryMs}\n\n`)
+    res.write(`event: subscribed\ndata: ${JSON.stringify({ tokens: keys })}\n\n`)
+
+    const unsubscribe = this.subscribe(keys, (update) => {
+      res.write(`event: price\ndata: ${JSON.stringify(update)}\n\n`)
+    })
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), config.stream.heartbeatMs)
+    this.connections.sse++
+
+    req.on("close", () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+      this.connections.sse--
+    })
+  }
+
+  // WebSocket endpoint on the HTTP server. Clients can subscribe through the tokens query parameter and/or
+  // send { "type": "subscribe" | "unsubscribe", "tokens": ["ethereum:0x..."] }. `verifyClient` (see ws) can
+  // reject the upgrade, since Express middleware never sees it.
+  attachWebSocketServer(server, { verifyClient } = {}) {
+    this.webSocketServer = new WebSocketServer({ server, path: config.stream.websocketPath, verifyClient })
+
+    this.webSocketServer.on("connection", (socket, req) => {
+      const subscribed = new Set()
+      let unsubscribe = () => {}
+
+      const send = (payload) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(payload))
+        }
+      }
+      const listener = (update) => send({ type: "price", data: update })
+
+      const update = (keys, add) => {
+        const next = new Set(subscribed)
+        keys.forEach((key) => (add ? next.add(key) : next.delete(key)))
+        if (next.size > config.stream.maxSubscriptions) {
+          throw new PriceRequestError(`At most ${config.stream.maxSubscriptions} tokens can be subscribed per connection`)
+        }
+
+        unsubscribe()
+        subscribed.clear()
+        next.forEach((key) => subscribed.add(key))
+        unsubscribe = this.subscribe([...subscribed], listener)
+        send({ type: "subscribed", tokens: [...subscribed] })
+      }
+
+      const tokens = new URL(req.url, "http://localhost").searchParams.get("tokens")
+      if (tokens) {
+        try {
+          update(parseSubscriptions(tokens), true)
+        } catch (error) {
+          send({ type: "error", message: error.message })
+        }
+      }
+
+      socket.on("message", (raw) => {
+        try {
+          const message = JSON.parse(raw.toString())
+          if (message.type !== "subscribe" && message.type !== "unsubscribe") {
+            throw new PriceRequestError('type must be "subscribe" or "unsubscribe"')
+          }
+          update(parseSubscriptions(message.tokens), message.type === "subscribe")
+        } catch (error) {
+          send({ type: "error", message: error instanceof SyntaxError ? "Messages must be JSON" : error.message })
+        }
+      })
+
+      // Ping idle sockets so load balancers keep them open
+      const heartbeat = setInterval(() => socket.ping(), config.stream.heartbeatMs)
+      this.connections.websocket++
+
+      socket.on("close", () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+        this.connections.websocket--
+      })
+    })
+
+    logger.info("Price stream WebSocket endpoint ready", { path: config.stream.websocketPath })
+  }
+}
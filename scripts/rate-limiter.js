@@ -0,0 +1,121 @@
+import { config } from "./config.js"
+import { classifyError } from "./error-classifier.js"
+import { ProviderError } from "./price-provider.js"
+import { logger } from "./logger.js"
+
+// Takes one token from every bucket in KEYS[1..n-1], or none if any of them is short. KEYS[n] is the
+// cool-down key set after a 429. ARGV holds a (tokens per second, capacity) pair per bucket. Returns 0 when
+// the tokens were taken, otherwise how many ms to wait. Redis' clock is used so instances never disagree.
+const TOKEN_BUCKET_SCRIPT = `
+local coolDown = redis.call("PTTL", KEYS[#KEYS])
+if coolDown > 0 then return coolDown end
+
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local wait = 0
+local levels = {}
+
+for i = 1, #KEYS - 1 do
+  local rate = tonumber(ARGV[2 * i - 1])
+  local capacity = tonumber(ARGV[2 * i])
+  local bucket = redis.call("HMGET", KEYS[i], "tokens", "updatedAt")
+  local tokens = tonumber(bucket[1]) or capacity
+  local updatedAt = tonumber(bucket[2]) or now
+  tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * rate / 1000)
+  if tokens < 1 then
+    wait = math.max(wait, math.ceil((1 - tokens) * 1000 / rate))
+  end
+  levels[i] = tokens
+end
+
+if wait > 0 then return wait end
+
+for i = 1, #KEYS - 1 do
+  local rate = tonumber(ARGV[2 * i - 1])
+  local capacity = tonumber(ARGV[2 * i])
+  redis.call("HSET", KEYS[i], "tokens", levels[i] - 1, "updatedAt", now)
+  redis.call("PEXPIRE", KEYS[i], math.ceil(capacity * 1000 / rate) + 1000)
+end
+return 0
+`
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Token-bucket limiter shared by every instance and worker through Redis. Each upstream (a key in
+// config.providers.rateLimits, e.g. "alchemy") has a global bucket and, optionally, one bucket per network.
+export class RateLimiter {
+  constructor(redisClient, limitsConfig = config.providers.rateLimits) {
+    this.redisClient = redisClient
+    this.config = limitsConfig
+    this.prefix = `${config.app.name}:ratelimit`
+  }
+
+  bucketsFor(upstream, network) {
+    const budget = this.config[upstream]
+    if (!(budget?.perSecond > 0)) return []
+
+    const buckets = [{ key: `${this.prefix}:${upstream}`, rate: budget.perSecond, capacity: budget.burst }]
+    if (network && budget.perNetworkPerSecond > 0) {
+      buckets.push({
+        key: `${this.prefix}:${upstream}:${network}`,
+        rate: budget.perNetworkPerSecond,
+        capacity: Math.max(1, Math.ceil(budget.perNetworkPerSecond)),
+      })
+    }
+    return buckets
+  }
+
+  // Waits until a request to `upstream` on `network` fits the budget. Throws a 429 ProviderError once
+  // config.maxWaitMs has passed, so queue workers back off and retry later instead of blocking.
+  async acquire(upstream, network = null) {
+    const buckets = this.bucketsFor(upstream, network)
+    if (buckets.length === 0) return
+
+    const deadline = Date.now() + this.config.maxWaitMs
+    for (;;) {
+      let wait
+      try {
+        wait = await this.redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+          keys: [...buckets.map((bucket) => bucket.key), `${this.prefix}:${upstream}:cooldown`],
+          arguments: buckets.flatMap((bucket) => [String(bucket.rate), String(bucket.capacity)]),
+        })
+      } catch (error) {
+        // An unreachable limiter must not take every price lookup down with it
+        logger.warn("Rate limiter unavailable, letting request through", { upstream, error: error.message })
+        return
+      }
+
+      if (wait === 0) return
+
+      if (Date.now() + wait > deadline) {
+        throw new ProviderError(`${upstream} rate limit budget exhausted`, 429)
+      }
+      // Jitter keeps waiting workers from retrying in lockstep
+      await sleep(wait + Math.floor(Math.random() * 50))
+    }
+  }
+
+  // Pauses every caller of `upstream` after the upstream itself answered 429
+  async coolDown(upstream, retryAfterMs = null) {
+    retryAfterMs = retryAfterMs ?? this.config.defaultRetryAfterMs
+    try {
+      await this.redisClient.set(`${this.prefix}:${upstream}:cooldown`, "1", { PX: Math.max(1, Math.ceil(retryAfterMs)) })
+      logger.warn("Upstream rate limited, pausing requests", { upstream, retryAfterMs })
+    } catch (error) {
+      logger.warn("Could not record upstream cool-down", { upstream, error: error.message })
+    }
+  }
+
+  // Runs `fn` inside the budget and starts a cool-down when it fails with a rate-limit error
+  async run(upstream, network, fn) {
+    await this.acquire(upstream, network)
+    try {
+      return await fn()
+    } catch (error) {
+      if (classifyError(error).category === "rate_limited") {
+        await this.coolDown(upstream, error.retryAfterMs)
+      }
+      throw error
+    }
+  }
+}
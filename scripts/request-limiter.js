@@ -0,0 +1,108 @@
+import crypto from "node:crypto"
+import { config } from "./config.js"
+import { logger } from "./logger.js"
+
+// Sliding-window log: KEYS[1] is a sorted set of request ids scored by arrival time. Drops entries older
+// than the window (ARGV[1] ms) and records ARGV[3] if fewer than ARGV[2] remain. Returns
+// { allowed (1/0), requests in the window, ms until the oldest request leaves it }.
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call("ZADD", KEYS[1], now, ARGV[3])
+  redis.call("PEXPIRE", KEYS[1], window)
+  count = count + 1
+  allowed = 1
+end
+
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+local reset = oldest[2] and (tonumber(oldest[2]) + window - now) or window
+return { allowed, count, reset }
+`
+
+// Who a request is counted against: its API key when authenticated, otherwise the client IP
+function clientId(req) {
+  return req.apiKey ? `key:${req.apiKey._id}` : `ip:${req.ip}`
+}
+
+// Several budgets can apply to one request. Every policy is listed, and the remaining/reset headers
+// describe the budget closest to running out.
+function setRateLimitHeaders(res, budget) {
+  const budgets = [...(res.locals.rateLimits || []), budget]
+  res.locals.rateLimits = budgets
+  const tightest = budgets.reduce((tighter, next) => (next.remaining < tighter.remaining ? next : tighter))
+
+  res.set({
+    "RateLimit-Policy": budgets.map(({ limit, windowSeconds }) => `${limit};w=${windowSeconds}`).join(", "),
+    "RateLimit-Limit": String(tightest.limit),
+    "RateLimit-Remaining": String(tightest.remaining),
+    "RateLimit-Reset": String(tightest.resetSeconds),
+  })
+}
+
+// Express middleware enforcing `maxRequests` per `windowMs` for one budget (`name`), shared by every
+// instance through Redis. Sets the RateLimit-* headers and answers 429 once the budget is spent.
+// Mounted after API-key authentication, clients are limited per key; before it, per IP.
+// `countStatuses` restricts the budget to responses with those statuses (e.g. failed authentication).
+export function createRequestLimit(
+  redisClient,
+  name,
+  { windowMs, maxRequests, skipSuccessfulRequests = false, countStatuses = null },
+) {
+  const prefix = `${config.app.name}:requests:${name}`
+  const counts = (status) => (countStatuses ? countStatuses.includes(status) : !skipSuccessfulRequests || status >= 400)
+
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) return next()
+
+    const key = `${prefix}:${clientId(req)}`
+    const member = crypto.randomUUID()
+    let result
+    try {
+      result = await redisClient.eval(SLIDING_WINDOW_SCRIPT, {
+        keys: [key],
+        arguments: [String(windowMs), String(maxRequests), member],
+      })
+    } catch (error) {
+      // An unreachable Redis must not take the API down with it
+      logger.warn("Request limiter unavailable, letting request through", { error: error.message })
+      return next()
+    }
+
+    const [allowed, count, resetMs] = result.map(Number)
+    const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000))
+    setRateLimitHeaders(res, {
+      limit: maxRequests,
+      windowSeconds: Math.ceil(windowMs / 1000),
+      remaining: Math.max(0, maxRequests - count),
+      resetSeconds,
+    })
+
+    if (!allowed) {
+      res.set("Retry-After", String(resetSeconds))
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests, please retry in ${resetSeconds} seconds`,
+      })
+    }
+
+    // The slot is reserved up front and given back once the response turns out not to count
+    if (skipSuccessfulRequests || countStatuses) {
+      res.on("finish", () => {
+        if (!counts(res.statusCode)) {
+          redisClient
+            .zRem(key, member)
+            .catch((error) => logger.warn("Could not release rate-limit slot", { error: error.message }))
+        }
+      })
+    }
+
+    next()
+  }
+}
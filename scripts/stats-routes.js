@@ -0,0 +1,40 @@
+import express from "express"
+import { config } from "./config.js"
+import { requireScope } from "./api-auth.js"
+import { logger } from "./logger.js"
+
+// Service statistics, mounted under /api/v1
+export function createStatsRouter({ dbManager, cacheStats = null, priceCache = null }) {
+  const router = express.Router()
+
+  // How price lookups were answered per day and network, and the share served from the Redis cache. `local`
+  // is this instance's in-process tier, counted since it started; those hits still count as cache above.
+  router.get("/stats/cache", requireScope("read"), async (req, res) => {
+    const maxDays = config.dataLifecycle.retention.cacheStatsDays
+    const days = Number.parseInt(req.query.days ?? "7", 10)
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      return res.status(400).json({ success: false, message: `days must be between 1 and ${maxDays}` })
+    }
+
+    try {
+      // Counts still waiting for their batch write are included
+      await cacheStats?.flush()
+      const stats = await dbManager.getCacheStats(days)
+      if (!stats) {
+        throw new Error("Cache statistics query failed")
+      }
+
+      res.set("Cache-Control", "no-store")
+      res.json({ success: true, data: { ...stats, local: priceCache?.localCache?.stats() ?? null }, meta: { days } })
+    } catch (error) {
+      logger.error("Failed to get cache statistics", { error })
+      res.status(500).json({
+        success: false,
+        message: "Failed to get cache statistics",
+        error: config.app.isDevelopment ? error.message : undefined,
+      })
+    }
+  })
+
+  return router
+}
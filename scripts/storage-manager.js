@@ -1,5 +1,7 @@
 import redis from "redis"
 import { MongoClient } from "mongodb"
+import { config } from "./config.js"
+import { LocalCache } from "./local-cache.js"
 
 export class StorageManager {
   constructor() {
@@ -24,6 +26,9 @@ export class StorageManager {
       cold: { redis: false, mongo: true, ttl: 0 },
       archive: { redis: false, mongo: true, ttl: 0, compressed: true },
     }
+
+    // Optional in-process tier in front of cacheGet (config.cache.local)
+    this.localCache = config.cache.local.enabled ? new LocalCache("storage", config.cache.local) : null
   }
 
   async initialize() {
@@ -62,6 +67,9 @@ export class StorageManager {
     })
 
     await this.redisClient.connect()
+    if (this.localCache) {
+      await this.localCache.start(this.redisClient)
+    }
   }
 
   async initializeMongoDB() {
@@ -151,6 +159,7 @@ export class StorageManager {
       } else {
         await this.redisClient.set(key, serializedData)
       }
+      await this.localCache?.invalidate([key])
 
       // Update cache statistics
       await this.updateCacheStats("set", key, strategy)
@@ -163,14 +172,22 @@ export class StorageManager {
 
   async cacheGet(key) {
     try {
+      const local = this.localCache?.get(key)
+      if (local) {
+        await this.updateCacheStats("hit", key, null, "local")
+        return local
+      }
+
       const data = await this.redisClient.get(key)
       if (!data) {
         await this.updateCacheStats("miss", key)
         return null
       }
 
-      await this.updateCacheStats("hit", key)
-      return JSON.parse(data)
+      await this.updateCacheStats("hit", key, null, "redis")
+      const parsed = JSON.parse(data)
+      this.localCache?.set(key, parsed)
+      return parsed
     } catch (error) {
       console.error("Redis cache get error:", error)
       return null
@@ -180,6 +197,7 @@ export class StorageManager {
   async cacheDelete(key) {
     try {
       const deleted = await this.redisClient.del(key)
+      await this.localCache?.invalidate([key])
       await this.updateCacheStats("delete", key)
       return deleted > 0
     } catch (error) {
@@ -491,7 +509,8 @@ export class StorageManager {
   }
 
   // Analytics and monitoring
-  async updateCacheStats(operation, key, strategy = null) {
+  // `tier` records which cache layer answered a hit ("local" or "redis")
+  async updateCacheStats(operation, key, strategy = null, tier = null) {
     try {
       const today = new Date().toISOString().split("T")[0]
       const statsKey = `cache_stats_${today}`
@@ -509,6 +528,9 @@ export class StorageManager {
       if (strategy) {
         update.$inc[`strategies.${strategy}`] = 1
       }
+      if (tier) {
+        update.$inc[`tiers.${tier}`] = 1
+      }
 
       await this.collections.cache_stats.updateOne({ _id: statsKey }, update, { upsert: true })
     } catch (error) {
@@ -535,6 +557,7 @@ export class StorageManager {
         hit_rate: 0,
         operations: {},
         strategies: {},
+        tiers: {},
         daily_breakdown: stats,
       }
 
@@ -546,6 +569,9 @@ export class StorageManager {
         Object.keys(day.strategies || {}).forEach((strategy) => {
           aggregated.strategies[strategy] = (aggregated.strategies[strategy] || 0) + day.strategies[strategy]
         })
+        Object.keys(day.tiers || {}).forEach((tier) => {
+          aggregated.tiers[tier] = (aggregated.tiers[tier] || 0) + day.tiers[tier]
+        })
       })
 
       if (aggregated.operations.hit && aggregated.operations.total) {
@@ -644,6 +670,10 @@ export class StorageManager {
   // Graceful shutdown
   async close() {
     try {
+      if (this.localCache) {
+        await this.localCache.stop()
+      }
+
       if (this.redisClient) {
         await this.redisClient.quit()
         console.log("Redis connection closed")
@@ -0,0 +1,97 @@
+import { after, before, test } from "node:test"
+import assert from "node:assert/strict"
+import { Utils } from "alchemy-sdk"
+import { config } from "../config.js"
+import { AlchemyService } from "../alchemy-service.js"
+import { DexPriceProvider } from "../dex-price-provider.js"
+import { startStandIn } from "./helpers/stand-in.js"
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+const TOKEN = "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984" // 18 decimals, sorts before USDC so it is token0
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48"
+const V2_PAIR = "0x00000000000000000000000000000000000000a2"
+const V3_POOL = "0x00000000000000000000000000000000000000a3"
+
+const contracts = new Utils.Interface([
+  "function getPair(address tokenA, address tokenB) view returns (address pair)",
+  "function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)",
+  "function token0() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+])
+
+// 6.5 USDC per token: sqrt(price in raw units) * 2^96, with raw units rescaled by 10^(6 - 18)
+const V3_SQRT_PRICE_X96 = BigInt(Math.round(Math.sqrt(6.5e-12) * 2 ** 96))
+
+// Canned chain state: a v2 pair quoting 6.42 USDC and a deeper 0.3% v3 pool quoting 6.5 USDC
+function answer(to, name, args) {
+  const pairsWithUsdc = ["getPair", "getPool"].includes(name) && args.slice(0, 2).some((address) => address.toLowerCase() === USDC)
+
+  switch (name) {
+    case "getPair":
+      return [pairsWithUsdc ? V2_PAIR : ZERO_ADDRESS]
+    case "getPool":
+      return [pairsWithUsdc && args.fee === 3000 ? V3_POOL : ZERO_ADDRESS]
+    case "token0":
+      return [TOKEN]
+    case "getReserves":
+      return [Utils.parseUnits("100000", 18), Utils.parseUnits("642000", 6), 0]
+    case "slot0":
+      return [V3_SQRT_PRICE_X96.toString(), 0, 0, 1, 1, 0, true]
+    case "decimals":
+      return [to === USDC ? 6 : 18]
+    case "balanceOf":
+      return [Utils.parseUnits(args[0].toLowerCase() === V3_POOL ? "1000000" : "642000", 6)]
+  }
+  throw new Error(`Unexpected call to ${name}`)
+}
+
+function respond({ id, method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return { jsonrpc: "2.0", id, result: "0x1" }
+    case "net_version":
+      return { jsonrpc: "2.0", id, result: "1" }
+    case "eth_call": {
+      const [{ to, data }] = params
+      const call = contracts.parseTransaction({ data })
+      const result = contracts.encodeFunctionResult(call.name, answer(to.toLowerCase(), call.name, call.args))
+      return { jsonrpc: "2.0", id, result }
+    }
+  }
+  return { jsonrpc: "2.0", id, error: { code: -32601, message: `${method} not available` } }
+}
+
+let standIn
+let provider
+
+before(async () => {
+  standIn = await startStandIn((req, body) => ({ json: Array.isArray(body) ? body.map(respond) : respond(body) }))
+  config.alchemy.rpcUrl = standIn.url
+  provider = new DexPriceProvider(new AlchemyService(), { feeTiers: [3000], minLiquidityUsd: 10000 })
+})
+
+after(() => standIn.close())
+
+test("prices a token from a v2 pair's reserves", async () => {
+  const quote = await provider.quotePool("ethereum", { address: V2_PAIR, version: 2 }, TOKEN, USDC, "latest")
+
+  assert.equal(quote.price, 6.42)
+  assert.equal(quote.referenceLiquidity, 642000)
+})
+
+test("prices a token from a v3 pool's sqrtPriceX96", async () => {
+  const quote = await provider.quotePool("ethereum", { address: V3_POOL, version: 3, fee: 3000 }, TOKEN, USDC, "latest")
+
+  assert.ok(Math.abs(quote.price - 6.5) < 1e-9, `price was ${quote.price}`)
+  assert.equal(quote.referenceLiquidity, 1000000)
+})
+
+test("quotes the current price from the pool holding the most USDC", async () => {
+  const price = await provider.getCurrentPrice(TOKEN, "ethereum")
+
+  assert.ok(Math.abs(price.usd - 6.5) < 1e-9, `usd was ${price.usd}`)
+  assert.ok(standIn.requests.some(({ body }) => [body].flat().some((call) => call.method === "eth_call")))
+})
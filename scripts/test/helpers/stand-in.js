@@ -0,0 +1,24 @@
+import http from "node:http"
+
+// Local HTTP server standing in for an upstream API in tests. `handler(req, body)` resolves to
+// { status = 200, headers = {}, json } and every request is recorded in `requests`.
+export async function startStandIn(handler) {
+  const requests = []
+  const server = http.createServer(async (req, res) => {
+    let body = ""
+    for await (const chunk of req) body += chunk
+    const parsed = body ? JSON.parse(body) : null
+    requests.push({ method: req.method, url: req.url, body: parsed })
+
+    const { status = 200, headers = {}, json = {} } = await handler(req, parsed)
+    res.writeHead(status, { "Content-Type": "application/json", ...headers })
+    res.end(JSON.stringify(json))
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
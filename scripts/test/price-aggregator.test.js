@@ -0,0 +1,31 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { PriceAggregator } from "../price-aggregator.js"
+
+const aggregator = new PriceAggregator(
+  { method: "median", trimPercent: 20, maxDeviationPercent: 5, minSources: 1 },
+  ["alchemy", "chainlink", "defillama", "coingecko", "dex"],
+)
+
+test("keeps the higher-priority quote when two quotes disagree", () => {
+  const price = aggregator.aggregate([
+    { source: "dex", usd: 1.5, lastUpdated: "2026-01-01T00:00:00.000Z" },
+    { source: "coingecko", usd: 1, lastUpdated: "2026-01-01T00:01:00.000Z" },
+  ])
+
+  assert.equal(price.usd, 1)
+  assert.equal(price.source, "coingecko")
+  assert.equal(price.aggregation.method, "priority")
+  assert.deepEqual(price.aggregation.rejected, ["dex"])
+})
+
+test("combines two quotes that agree", () => {
+  const price = aggregator.aggregate([
+    { source: "dex", usd: 1.02, lastUpdated: "2026-01-01T00:00:00.000Z" },
+    { source: "coingecko", usd: 1, lastUpdated: "2026-01-01T00:01:00.000Z" },
+  ])
+
+  assert.equal(price.usd, 1.01)
+  assert.equal(price.source, "aggregate")
+  assert.deepEqual(price.aggregation.rejected, [])
+})
@@ -0,0 +1,82 @@
+import { after, before, describe, test } from "node:test"
+import assert from "node:assert/strict"
+import { CoinGeckoProvider, DefiLlamaProvider } from "../price-providers.js"
+import { ProviderError } from "../price-provider.js"
+import { startStandIn } from "./helpers/stand-in.js"
+
+const TOKEN = "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984"
+const UPDATED_AT = 1700000000
+
+describe("CoinGeckoProvider", () => {
+  let standIn
+  let provider
+
+  before(async () => {
+    standIn = await startStandIn((req) => {
+      if (req.url.startsWith("/rate-limited/")) {
+        return { status: 429, headers: { "Retry-After": "7" }, json: { status: { error_code: 429 } } }
+      }
+      return { json: { [TOKEN]: { usd: 6.42, last_updated_at: UPDATED_AT } } }
+    })
+    provider = new CoinGeckoProvider({ baseUrl: standIn.url, timeout: 2000, apiKey: "demo-key", apiKeyHeader: "x-cg-demo-api-key" })
+  })
+
+  after(() => standIn.close())
+
+  test("reads the current price from /simple/token_price", async () => {
+    const price = await provider.getCurrentPrice(TOKEN.toUpperCase().replace("0X", "0x"), "polygon")
+
+    assert.deepEqual(price, { usd: 6.42, lastUpdated: new Date(UPDATED_AT * 1000).toISOString() })
+    const [request] = standIn.requests.slice(-1)
+    assert.match(request.url, new RegExp(`^/simple/token_price/polygon-pos\\?contract_addresses=${TOKEN}&vs_currencies=usd`))
+  })
+
+  test("turns a 429 into a ProviderError carrying Retry-After", async () => {
+    const limited = new CoinGeckoProvider({ baseUrl: `${standIn.url}/rate-limited`, timeout: 2000 })
+
+    await assert.rejects(limited.getCurrentPrice(TOKEN, "ethereum"), (error) => {
+      assert.ok(error instanceof ProviderError)
+      assert.equal(error.status, 429)
+      assert.equal(error.retryAfterMs, 7000)
+      return true
+    })
+  })
+})
+
+describe("DefiLlamaProvider", () => {
+  let standIn
+  let provider
+  let retryAt
+
+  before(async () => {
+    standIn = await startStandIn((req) => {
+      if (req.url.startsWith("/rate-limited/")) {
+        return { status: 429, headers: { "Retry-After": new Date(retryAt).toUTCString() } }
+      }
+      return { json: { coins: { [`arbitrum:${TOKEN}`]: { price: 6.4, symbol: "UNI", timestamp: UPDATED_AT } } } }
+    })
+    provider = new DefiLlamaProvider({ baseUrl: standIn.url, timeout: 2000, searchWidth: "6h" })
+  })
+
+  after(() => standIn.close())
+
+  test("reads the current price from /prices/current", async () => {
+    const price = await provider.getCurrentPrice(TOKEN, "arbitrum")
+
+    assert.deepEqual(price, { usd: 6.4, lastUpdated: new Date(UPDATED_AT * 1000).toISOString() })
+    assert.equal(standIn.requests.at(-1).url, `/prices/current/arbitrum:${TOKEN}`)
+  })
+
+  test("turns a 429 with an HTTP-date Retry-After into a ProviderError", async () => {
+    retryAt = Date.now() + 120000
+    const limited = new DefiLlamaProvider({ baseUrl: `${standIn.url}/rate-limited`, timeout: 2000 })
+
+    await assert.rejects(limited.getCurrentPrice(TOKEN, "ethereum"), (error) => {
+      assert.ok(error instanceof ProviderError)
+      assert.equal(error.status, 429)
+      // The header has one-second resolution
+      assert.ok(error.retryAfterMs > 118000 && error.retryAfterMs <= 120000, `retryAfterMs was ${error.retryAfterMs}`)
+      return true
+    })
+  })
+})
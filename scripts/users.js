@@ -0,0 +1,73 @@
+import crypto from "node:crypto"
+import { promisify } from "node:util"
+import { config } from "./config.js"
+import { signToken, verifyToken } from "./jwt.js"
+import { logger } from "./logger.js"
+
+const scrypt = promisify(crypto.scrypt)
+
+// Dashboard roles and the API-key scopes (see api-keys.js) each one grants
+export const ROLE_SCOPES = {
+  viewer: ["read"],
+  operator: ["read", "backfill"],
+  admin: ["read", "backfill", "admin"],
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const derived = await scrypt(password, salt, 64)
+  return `${salt}:${derived.toString("hex")}`
+}
+
+async function passwordMatches(password, stored) {
+  const [salt, hash] = stored.split(":")
+  const derived = await scrypt(password, salt, 64)
+  return crypto.timingSafeEqual(derived, Buffer.from(hash, "hex"))
+}
+
+// Fields of a user record that may leave the service
+export function toPublicUser(user) {
+  return { username: user._id, role: user.role, scopes: ROLE_SCOPES[user.role] || [], createdAt: user.createdAt }
+}
+
+// Dashboard accounts (scrypt-hashed passwords in MongoDB) and the JWT sessions issued to them
+export class UserManager {
+  constructor(dbManager) {
+    this.dbManager = dbManager
+  }
+
+  // DASHBOARD_ADMIN_USERNAME/PASSWORD create the first admin, so accounts can be managed through the API
+  async seedConfiguredAdmin() {
+    const { username, password } = config.security.dashboardAdmin
+    if (!username || !password || (await this.dbManager.getUser(username))) return
+    await this.create({ username, password, role: "admin" })
+    logger.info("Created dashboard admin", { username })
+  }
+
+  // Resolves to the stored user, or null when the username is taken
+  async create({ username, password, role = "viewer" }) {
+    const user = { _id: username, passwordHash: await hashPassword(password), role, createdAt: new Date() }
+    return (await this.dbManager.storeUser(user)) ? user : null
+  }
+
+  async list() {
+    return this.dbManager.getUsers()
+  }
+
+  // Checks the credentials and issues a session token, or resolves to null
+  async login(username, password) {
+    const user = await this.dbManager.getUser(username)
+    if (!user || !(await passwordMatches(password, user.passwordHash))) {
+      return null
+    }
+
+    const { token, expiresAt } = signToken({ sub: user._id, role: user.role })
+    return { token, expiresAt, user: toPublicUser(user) }
+  }
+
+  // Maps a session token to { username, role, scopes }; throws TokenError when it is not valid
+  verifySession(token) {
+    const claims = verifyToken(token)
+    return { username: claims.sub, role: claims.role, scopes: ROLE_SCOPES[claims.role] || [] }
+  }
+}